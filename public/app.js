@@ -0,0 +1,342 @@
+/**
+ * Home page behaviour
+ *
+ * Loaded as an external script so the Content Security Policy can forbid
+ * inline scripts and event handlers. Elements opt in with data attributes.
+ * Login goes through the browser SDK (insforge-auth.js).
+ */
+
+// =============================================================================
+// Login
+// =============================================================================
+
+// InsForgeAuth comes from insforge-auth.js, loaded first
+const auth = new InsForgeAuth();
+
+/**
+ * Show a login error in the login hero
+ */
+function showLoginError(message) {
+  const output = document.querySelector('[data-login-error]');
+  output.textContent = message;
+  output.hidden = false;
+}
+
+// =============================================================================
+// Secrets
+// =============================================================================
+
+// Secrets are not in the page: fetch them only when revealed or copied
+async function fetchSecret(row) {
+  const response = await fetch(row.dataset.secretUrl, {
+    headers: { 'Accept': 'application/json' },
+    cache: 'no-store',
+  });
+  if (!response.ok) {
+    throw new Error('Request failed with status ' + response.status);
+  }
+  return (await response.json()).value;
+}
+
+async function handleSecret(button) {
+  const row = button.closest('[data-secret-url]');
+  const output = row.querySelector('[data-secret-value]');
+  const action = button.dataset.secretAction;
+
+  // Remember the mask rendered by the server so Hide can restore it
+  output.dataset.mask = output.dataset.mask || output.textContent;
+
+  if (action === 'reveal' && button.textContent === 'Hide') {
+    output.textContent = output.dataset.mask;
+    button.textContent = 'Reveal';
+    return;
+  }
+
+  try {
+    const value = await fetchSecret(row);
+    if (action === 'reveal') {
+      output.textContent = value;
+      button.textContent = 'Hide';
+    } else {
+      await navigator.clipboard.writeText(value);
+      button.textContent = 'Copied';
+      setTimeout(() => { button.textContent = 'Copy'; }, 1500);
+    }
+  } catch (err) {
+    console.error('Failed to fetch secret:', err);
+    button.textContent = 'Failed';
+    setTimeout(() => { button.textContent = action === 'reveal' ? 'Reveal' : 'Copy'; }, 1500);
+  }
+}
+
+// =============================================================================
+// Projects
+// =============================================================================
+
+// Sent as X-CSRF-Token with every change (see src/csrf.js)
+const CSRF_TOKEN = document.querySelector('meta[name="csrf-token"]')?.content;
+const TOAST_MS = 4000;
+
+/**
+ * Call the project JSON API
+ *
+ * Rejects with the server's message; `code` is its error code and, for
+ * insufficient_scope, `grantUrl` is where the missing scopes can be granted.
+ */
+async function projectApi(method, url, body) {
+  const response = await fetch(url, {
+    method,
+    headers: {
+      'Accept': 'application/json',
+      'Content-Type': 'application/json',
+      'X-CSRF-Token': CSRF_TOKEN,
+    },
+    body: body && JSON.stringify(body),
+  });
+  if (response.status === 204) {
+    return null;
+  }
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw Object.assign(new Error(data.message || 'Request failed with status ' + response.status), {
+      code: data.error,
+      grantUrl: data.grant_url,
+    });
+  }
+  return data;
+}
+
+let toastTimer;
+
+function showToast(message, { error = false } = {}) {
+  const toast = document.querySelector('[data-toast]');
+  toast.textContent = message;
+  toast.classList.toggle('toast-error', error);
+  toast.hidden = false;
+  clearTimeout(toastTimer);
+  toastTimer = setTimeout(() => { toast.hidden = true; }, TOAST_MS);
+}
+
+function showProjectError(action, err) {
+  console.error(`Project ${action} failed:`, err.code, err.message);
+  if (err.grantUrl) {
+    // Incremental authorization: grant the missing scope and come back
+    window.location.assign(err.grantUrl + '&returnTo=' + encodeURIComponent(window.location.pathname));
+    return;
+  }
+  showToast(err.message, { error: true });
+}
+
+/**
+ * Ask before a destructive action
+ *
+ * @returns {Promise<boolean>}
+ */
+function confirmAction(message) {
+  const dialog = document.querySelector('[data-confirm-dialog]');
+  if (!dialog?.showModal) {
+    return Promise.resolve(window.confirm(message));
+  }
+  dialog.querySelector('[data-confirm-message]').textContent = message;
+  dialog.returnValue = '';
+  dialog.showModal();
+  return new Promise((resolve) => {
+    dialog.addEventListener('close', () => resolve(dialog.returnValue === 'confirm'), { once: true });
+  });
+}
+
+// The current contents of a card, to fill a new one or restore a failed change
+function readProjectCard(card) {
+  const field = (name) => card.querySelector(`[data-field="${name}"]`).textContent;
+  return {
+    id: card.dataset.projectId,
+    name: field('name'),
+    status: field('status'),
+    region: field('region'),
+    url: field('url'),
+  };
+}
+
+function fillProjectCard(card, project) {
+  const previousId = card.dataset.projectId;
+  if (project.id && project.id !== previousId) {
+    // Point the card's forms and secret URL at the real project
+    const from = encodeURIComponent(previousId);
+    const to = encodeURIComponent(project.id);
+    card.dataset.projectId = project.id;
+    card.querySelectorAll('form[action]').forEach((form) => {
+      form.setAttribute('action', form.getAttribute('action').replace(from, to));
+    });
+    card.querySelectorAll('[data-secret-url]').forEach((row) => {
+      row.dataset.secretUrl = row.dataset.secretUrl.replace(from, to);
+    });
+  }
+
+  const url = project.url ?? (project.appkey ? `https://${project.appkey}.${project.region}.insforge.app` : '');
+  const values = { name: project.name, status: project.status, region: project.region, url };
+  for (const [name, value] of Object.entries(values)) {
+    if (value !== undefined) {
+      card.querySelector(`[data-field="${name}"]`).textContent = value;
+    }
+  }
+
+  const form = card.querySelector('[data-project-action="update"]');
+  if (form) {
+    form.elements.name.value = project.name;
+    setRegion(form.elements.region, project.region);
+  }
+}
+
+function setRegion(select, region) {
+  if (region && ![...select.options].some((option) => option.value === region)) {
+    select.add(new Option(region, region), 0);
+  }
+  select.value = region || select.value;
+}
+
+// Keep an organization's project count and empty message in step with its list
+function updateProjectCount(list) {
+  const count = [...list.querySelectorAll('[data-project-id]')].filter((card) => !card.hidden).length;
+  const section = list.closest('.projects-section');
+  section.querySelector('[data-project-count]').textContent = count;
+  section.querySelector('[data-no-projects]').hidden = count > 0;
+}
+
+// Each handler updates the page first and undoes it if the request fails
+
+async function createProject(form, values) {
+  const organization = form.closest('[data-organization-id]');
+  const list = organization.querySelector('[data-project-list]');
+  if (!list) {
+    // Projects couldn't be listed: post the form instead
+    form.submit();
+    return;
+  }
+  const template = document.querySelector('template[data-project-template]');
+  const card = template.content.firstElementChild.cloneNode(true);
+
+  // Keeps the template's placeholder id until the server assigns one
+  fillProjectCard(card, { name: values.name, status: 'creating', region: values.region, url: '' });
+  card.classList.add('is-pending');
+  list.append(card);
+  updateProjectCount(list);
+  form.reset();
+
+  try {
+    const { project } = await projectApi('POST', '/api/projects', {
+      organizationId: organization.dataset.organizationId,
+      ...values,
+    });
+    fillProjectCard(card, { status: 'active', ...project });
+    showToast(`Created ${project.name}.`);
+  } catch (err) {
+    card.remove();
+    form.elements.name.value = values.name;
+    showProjectError('create', err);
+  } finally {
+    card.classList.remove('is-pending');
+    updateProjectCount(list);
+  }
+}
+
+async function updateProject(form, values, card) {
+  const previous = readProjectCard(card);
+  fillProjectCard(card, { ...values, url: values.region === previous.region ? previous.url : '' });
+  card.classList.add('is-pending');
+
+  try {
+    const { project } = await projectApi('PATCH', `/api/projects/${encodeURIComponent(card.dataset.projectId)}`, values);
+    fillProjectCard(card, project);
+    form.closest('details').open = false;
+  } catch (err) {
+    fillProjectCard(card, previous);
+    showProjectError('update', err);
+  } finally {
+    card.classList.remove('is-pending');
+  }
+}
+
+async function deleteProject(form, values, card) {
+  const list = card.closest('[data-project-list]');
+  card.hidden = true;
+  updateProjectCount(list);
+
+  try {
+    await projectApi('DELETE', `/api/projects/${encodeURIComponent(card.dataset.projectId)}`);
+    card.remove();
+  } catch (err) {
+    card.hidden = false;
+    showProjectError('delete', err);
+  } finally {
+    updateProjectCount(list);
+  }
+}
+
+async function rotateProjectKey(form, values, card) {
+  // A revealed key is about to stop working
+  const output = card.querySelector('[data-secret-value]');
+  output.textContent = output.dataset.mask || output.textContent;
+  card.querySelector('[data-secret-action="reveal"]').textContent = 'Reveal';
+
+  try {
+    await projectApi('POST', `/api/projects/${encodeURIComponent(card.dataset.projectId)}/api-key/rotate`);
+    showToast('API key rotated. Reveal or copy the new key.');
+  } catch (err) {
+    showProjectError('rotate-key', err);
+  }
+}
+
+const PROJECT_ACTIONS = {
+  'create': createProject,
+  'update': updateProject,
+  'delete': deleteProject,
+  'rotate-key': rotateProjectKey,
+};
+
+async function handleProjectForm(form) {
+  const action = form.dataset.projectAction;
+  const card = form.closest('[data-project-id]');
+  if (card?.classList.contains('is-pending')) {
+    return;
+  }
+
+  if (form.dataset.confirm) {
+    const name = card ? readProjectCard(card).name : '';
+    if (!(await confirmAction(form.dataset.confirm.replace('{name}', `"${name}"`)))) {
+      return;
+    }
+  }
+
+  const values = Object.fromEntries(new FormData(form));
+  delete values._csrf;
+  await PROJECT_ACTIONS[action](form, values, card);
+}
+
+// With scripts on, the project forms go through the JSON API
+document.addEventListener('submit', (event) => {
+  const form = event.target.closest('form[data-project-action]');
+  if (form && CSRF_TOKEN) {
+    event.preventDefault();
+    handleProjectForm(form);
+  }
+});
+
+document.addEventListener('click', (event) => {
+  const popupButton = event.target.closest('[data-action="login-popup"]');
+  if (popupButton) {
+    auth.login({ provider: popupButton.dataset.provider })
+      .then(() => window.location.reload())
+      .catch((err) => {
+        console.error('[Parent] Popup login failed:', err.code, err.message);
+        if (err.code !== 'popup_closed') {
+          showLoginError(err.message);
+        }
+      });
+    return;
+  }
+
+  const secretButton = event.target.closest('[data-secret-action]');
+  if (secretButton) {
+    handleSecret(secretButton);
+  }
+});
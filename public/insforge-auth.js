@@ -0,0 +1,334 @@
+/**
+ * InsForge Auth - browser SDK
+ *
+ * For single-page apps (React, Vue, ...) that use this server as their
+ * backend-for-frontend: the server keeps the tokens in its session, the app
+ * asks it who is logged in and sends its API calls through it.
+ *
+ *   <script src="/static/insforge-auth.js"></script>
+ *
+ *   const auth = new InsForgeAuth();
+ *   auth.onAuthChange((session) => render(session));
+ *   await auth.getSession();                 // { authenticated, provider, user, scopes, expiresAt, accounts, csrfToken }
+ *   loginButton.onclick = () => auth.login().catch((err) => showError(err.message));
+ *   stagingButton.onclick = () => auth.login({ provider: 'staging' });   // Link (or switch to) another provider
+ *   const response = await auth.fetch('/organizations/v1');   // InsForge API, token added by the server
+ *   logoutButton.onclick = () => auth.logout();
+ *
+ * Bundlers can require() the file instead. The app must be served from this
+ * server's origin (in development, proxy /auth and /api to it): the session
+ * cookie and the popup's messages don't cross origins.
+ */
+
+(function (root) {
+  'use strict';
+
+  // ===========================================================================
+  // Popup Login
+  // ===========================================================================
+
+  const LOGIN_MESSAGE_TYPE = 'insforge:login';
+  const LOGIN_CHANNEL_NAME = 'insforge-login';
+  const POPUP_POLL_MS = 500;
+  const DEFAULT_AUTH_PATH = '/auth';
+
+  /**
+   * Login route of a provider (the default one without a name)
+   */
+  function providerLoginPath(authPath, provider) {
+    return provider ? `${authPath}/${encodeURIComponent(provider)}/login` : `${authPath}/login`;
+  }
+
+  /**
+   * Random nonce identifying one popup flow
+   */
+  function createNonce() {
+    const bytes = crypto.getRandomValues(new Uint8Array(24));
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  /**
+   * Log in through a popup window
+   *
+   * Resolves with { returnTo } when the popup reports success. Rejects with an
+   * Error whose `code` is the OAuth error (e.g. access_denied),
+   * 'popup_blocked' or 'popup_closed'.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.returnTo]  Path to go to after login (checked by the server)
+   * @param {string[]} [options.scopes]  Scopes to ask for besides the configured ones
+   * @param {string} [options.authPath]  Where insforgeAuth() is mounted (default /auth)
+   * @param {string} [options.provider]  Provider to log in with (default: the server's first)
+   * @returns {Promise<{ returnTo: string }>}
+   */
+  function openOAuthPopup({ returnTo, scopes = [], authPath = DEFAULT_AUTH_PATH, provider } = {}) {
+    const width = 500;
+    const height = 700;
+    const left = window.screenX + (window.outerWidth - width) / 2;
+    const top = window.screenY + (window.outerHeight - height) / 2;
+    const nonce = createNonce();
+    const params = new URLSearchParams({ nonce });
+    if (returnTo) {
+      params.set('returnTo', returnTo);
+    }
+    if (scopes.length > 0) {
+      params.set('scope', scopes.join(' '));
+    }
+
+    const popup = window.open(
+      `${providerLoginPath(authPath, provider)}-popup?${params}`,
+      'insforge-oauth',
+      `width=${width},height=${height},left=${left},top=${top},popup=1`
+    );
+
+    return new Promise((resolve, reject) => {
+      const fail = (code, message) => Object.assign(new Error(message), { code });
+
+      if (!popup) {
+        reject(fail('popup_blocked', 'The login popup was blocked. Allow popups or use redirect mode.'));
+        return;
+      }
+
+      const channel = 'BroadcastChannel' in window ? new BroadcastChannel(LOGIN_CHANNEL_NAME) : null;
+      let poll;
+      let done = false;
+
+      const finish = (data) => {
+        if (done) return;
+        done = true;
+        window.removeEventListener('message', onMessage);
+        clearInterval(poll);
+        if (channel) {
+          channel.postMessage({ type: `${LOGIN_MESSAGE_TYPE}:ack`, nonce });
+          channel.close();
+        }
+
+        if (data.error) {
+          reject(fail(data.error, data.message || data.error));
+        } else {
+          resolve({ returnTo: data.returnTo || '/' });
+        }
+      };
+
+      const isResult = (data) => data?.type === LOGIN_MESSAGE_TYPE && data.nonce === nonce;
+
+      // Only accept results from our own popup, on our own origin, for this flow
+      function onMessage(event) {
+        if (event.origin !== window.location.origin || event.source !== popup || !isResult(event.data)) {
+          return;
+        }
+        finish(event.data);
+      }
+      window.addEventListener('message', onMessage);
+
+      // Fallback when the popup lost its opener reference
+      if (channel) {
+        channel.addEventListener('message', (event) => {
+          if (isResult(event.data)) {
+            finish(event.data);
+          }
+        });
+      }
+
+      // The user closed the popup without finishing
+      poll = setInterval(() => {
+        if (popup.closed) {
+          // A result posted just before closing may still be queued
+          setTimeout(() => finish({ error: 'popup_closed', message: 'The login window was closed.' }), POPUP_POLL_MS);
+          clearInterval(poll);
+        }
+      }, POPUP_POLL_MS);
+    });
+  }
+
+  // ===========================================================================
+  // Auth Client
+  // ===========================================================================
+
+  // Tells this app's other tabs that someone logged in or out
+  const AUTH_CHANNEL_NAME = 'insforge-auth';
+  const AUTH_CHANGE_TYPE = 'insforge:auth-change';
+
+  const LOGGED_OUT = Object.freeze({
+    authenticated: false,
+    provider: null,
+    user: null,
+    scopes: [],
+    expiresAt: null,
+    accounts: [],
+    csrfToken: null,
+  });
+
+  // Rejects like the server answered: `code` is its error code (see src/error-handler.js)
+  async function requestFailed(response) {
+    const data = await response.json().catch(() => ({}));
+    return Object.assign(new Error(data.message || 'Request failed with status ' + response.status), {
+      code: data.error,
+      status: response.status,
+    });
+  }
+
+  function sameSession(a, b) {
+    return a.authenticated === b.authenticated
+      && a.user?.id === b.user?.id
+      && a.scopes.join(' ') === b.scopes.join(' ');
+  }
+
+  class InsForgeAuth {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.authPath]    Where insforgeAuth() is mounted (default /auth)
+     * @param {string} [options.sessionUrl]  The session API (default /api/session)
+     * @param {string} [options.proxyUrl]    The InsForge API proxy (default /api/insforge)
+     */
+    constructor({ authPath = DEFAULT_AUTH_PATH, sessionUrl = '/api/session', proxyUrl = '/api/insforge' } = {}) {
+      this.authPath = authPath;
+      this.sessionUrl = sessionUrl;
+      this.proxyUrl = proxyUrl;
+      // Last known session; null until getSession() has answered
+      this.session = null;
+      this.listeners = new Set();
+
+      this.channel = 'BroadcastChannel' in root ? new BroadcastChannel(AUTH_CHANNEL_NAME) : null;
+      this.channel?.addEventListener('message', (event) => {
+        if (event.data?.type === AUTH_CHANGE_TYPE) {
+          this.getSession().catch((err) => console.error('Failed to load session:', err));
+        }
+      });
+    }
+
+    /**
+     * Ask the server who is logged in
+     *
+     * Never contains tokens. `csrfToken` must accompany the app's own POST,
+     * PUT, PATCH and DELETE requests as X-CSRF-Token.
+     *
+     * @returns {Promise<{ authenticated: boolean, user: ?Object, scopes: string[], expiresAt: ?string, csrfToken: ?string }>}
+     */
+    async getSession() {
+      const response = await fetch(this.sessionUrl, {
+        headers: { 'Accept': 'application/json' },
+        credentials: 'same-origin',
+        cache: 'no-store',
+      });
+      if (!response.ok) {
+        throw await requestFailed(response);
+      }
+      this.setSession(await response.json());
+      return this.session;
+    }
+
+    /**
+     * Log in through a popup window
+     *
+     * Resolves with the new session. Rejects like openOAuthPopup(); use
+     * loginWithRedirect() when the popup is blocked.
+     *
+     * @param {Object} [options]
+     * @param {string[]} [options.scopes]  Scopes to ask for besides the configured ones
+     *                                     (only the missing ones when logged in)
+     * @param {string} [options.provider]  Provider to log in with: another one links its
+     *                                     account, an already linked one becomes active
+     */
+    async login({ scopes = [], provider } = {}) {
+      await openOAuthPopup({ scopes, authPath: this.authPath, provider });
+      const session = await this.getSession();
+      this.notifyOtherTabs();
+      return session;
+    }
+
+    /**
+     * Log in by leaving the page; InsForge sends the user back to `returnTo`
+     */
+    loginWithRedirect({ scopes = [], returnTo = window.location.pathname + window.location.search, provider } = {}) {
+      const params = new URLSearchParams({ returnTo });
+      if (scopes.length > 0) {
+        params.set('scope', scopes.join(' '));
+      }
+      window.location.assign(`${providerLoginPath(this.authPath, provider)}?${params}`);
+    }
+
+    /**
+     * Log out: the server revokes the tokens and ends its session
+     *
+     * Resolves with { revocationFailed, redirectUrl }. With `redirect`, the
+     * page then goes to redirectUrl (InsForge's end-session endpoint or the
+     * signed-out page).
+     *
+     * @param {Object} [options]
+     * @param {boolean} [options.redirect]  Follow redirectUrl (default false)
+     */
+    async logout({ redirect = false } = {}) {
+      // Fresh: the token belongs to the current server session
+      const { csrfToken } = await this.getSession();
+      if (!csrfToken) {
+        return { revocationFailed: [], redirectUrl: null };
+      }
+
+      const response = await fetch(`${this.sessionUrl}/logout`, {
+        method: 'POST',
+        headers: { 'Accept': 'application/json', 'X-CSRF-Token': csrfToken },
+        credentials: 'same-origin',
+      });
+      if (!response.ok) {
+        throw await requestFailed(response);
+      }
+      const { revocationFailed, redirectUrl } = await response.json();
+
+      this.setSession(LOGGED_OUT);
+      this.notifyOtherTabs();
+      if (redirect) {
+        window.location.assign(redirectUrl);
+      }
+      return { revocationFailed, redirectUrl };
+    }
+
+    /**
+     * fetch() an InsForge API path through the server's proxy, which adds
+     * the access token. Changes carry the CSRF token.
+     *
+     *   const { organizations } = await (await auth.fetch('/organizations/v1')).json();
+     */
+    async fetch(path, init = {}) {
+      const method = (init.method || 'GET').toUpperCase();
+      const headers = new Headers(init.headers);
+      if (method !== 'GET' && method !== 'HEAD') {
+        const { csrfToken } = this.session?.csrfToken ? this.session : await this.getSession();
+        if (csrfToken) {
+          headers.set('X-CSRF-Token', csrfToken);
+        }
+      }
+      return fetch(`${this.proxyUrl}${path}`, { ...init, headers, credentials: 'same-origin' });
+    }
+
+    /**
+     * Call `listener(session)` whenever the user logs in or out, another user
+     * logs in or the granted scopes change (also from other tabs)
+     *
+     * @returns {() => void} Removes the listener
+     */
+    onAuthChange(listener) {
+      this.listeners.add(listener);
+      return () => this.listeners.delete(listener);
+    }
+
+    setSession(session) {
+      const changed = !this.session || !sameSession(this.session, session);
+      this.session = session;
+      if (changed) {
+        this.listeners.forEach((listener) => listener(session));
+      }
+    }
+
+    notifyOtherTabs() {
+      this.channel?.postMessage({ type: AUTH_CHANGE_TYPE });
+    }
+  }
+
+  const sdk = { InsForgeAuth, openOAuthPopup };
+  if (typeof module === 'object' && module.exports) {
+    module.exports = sdk;
+  } else {
+    Object.assign(root, sdk);
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
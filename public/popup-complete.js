@@ -0,0 +1,56 @@
+/**
+ * Popup login result: report it to the opener and close
+ *
+ * Message: { type: 'insforge:login', nonce, returnTo?, error?, message? }
+ *
+ * Sent with window.opener.postMessage, restricted to this origin. When the
+ * opener reference is gone (e.g. lost to a cross-origin redirect), it goes
+ * over a BroadcastChannel instead and waits for the opener to acknowledge.
+ */
+
+const MESSAGE_TYPE = 'insforge:login';
+const CHANNEL_NAME = 'insforge-login';
+
+const result = document.querySelector('[data-popup-result]');
+const message = {
+  type: MESSAGE_TYPE,
+  nonce: result.dataset.nonce,
+  returnTo: result.dataset.returnTo || undefined,
+  error: result.dataset.error || undefined,
+  message: result.dataset.message || undefined,
+};
+
+function showCloseButton() {
+  document.querySelector('[data-popup-status]').textContent = 'You can close this tab and return to the app.';
+  const button = document.querySelector('[data-action="close-window"]');
+  button.hidden = false;
+  button.addEventListener('click', () => window.close());
+}
+
+/**
+ * Close the window, or offer a button if the browser refuses
+ */
+function closePopup() {
+  window.close();
+  setTimeout(showCloseButton, 500);
+}
+
+if (window.opener && !window.opener.closed) {
+  window.opener.postMessage(message, window.location.origin);
+  setTimeout(closePopup, 300);
+} else if ('BroadcastChannel' in window) {
+  const channel = new BroadcastChannel(CHANNEL_NAME);
+  // Nobody answered: leave the result on screen
+  const timer = setTimeout(showCloseButton, 2000);
+
+  channel.addEventListener('message', (event) => {
+    if (event.data?.type === `${MESSAGE_TYPE}:ack` && event.data.nonce === message.nonce) {
+      clearTimeout(timer);
+      channel.close();
+      closePopup();
+    }
+  });
+  channel.postMessage(message);
+} else {
+  showCloseButton();
+}
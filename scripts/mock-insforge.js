@@ -0,0 +1,527 @@
+/**
+ * Mock InsForge - Local OAuth Server for Development
+ *
+ * A tiny stand-in for InsForge so the example can be exercised without a
+ * real backend. It auto-approves every authorization request and keeps all
+ * state in memory.
+ *
+ * Usage:
+ *   npm run mock                              # listens on :3000
+ *   INSFORGE_URL=http://localhost:3000 npm start
+ *
+ * It is also an OpenID Connect issuer: discovery, a JWKS and RS256 id_tokens
+ * for requests with the `openid` scope. Set MOCK_OIDC=false to hide the
+ * discovery document and exercise the client's fallback endpoints.
+ *
+ * Client authentication: the token and revocation endpoints accept public
+ * clients (client_id only, PKCE required), client_secret_basic,
+ * client_secret_post and private_key_jwt. Set MOCK_CLIENT_SECRET to check
+ * secrets and MOCK_CLIENT_PUBLIC_KEY (PEM file) to check client assertions.
+ *
+ * Device authorization grant (RFC 8628): open the verification_uri it hands
+ * out (or GET /device?user_code=...) to approve, add &action=deny to decline.
+ * Polling faster than MOCK_DEVICE_INTERVAL seconds (default 5) gets slow_down.
+ *
+ * Client credentials grant: confidential clients get a token without a user
+ * or refresh token, limited to organizations:read and projects:read.
+ *
+ * Scopes: API endpoints check the token's scope. Set MOCK_DENY_SCOPES (space
+ * separated) to have the user decline some scopes; include_granted_scopes=true
+ * adds the scopes granted to the client before, as in incremental authorization.
+ *
+ * Inspection endpoints:
+ *   GET /mock/revocations   Tokens revoked so far (check that logout revoked them)
+ *   GET /mock/client-auth   How clients authenticated to the token/revocation endpoints
+ *   POST /mock/rotate-keys  Start signing with a new key (the old one stays published
+ *                           unless ?retire=1)
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs');
+
+const app = express();
+app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
+
+const PORT = process.env.MOCK_PORT || 3000;
+
+// Access tokens live this long (set low to exercise token refresh)
+const ACCESS_TOKEN_TTL = Number(process.env.MOCK_ACCESS_TOKEN_TTL) || 3600;
+
+const ISSUER = process.env.MOCK_ISSUER || `http://localhost:${PORT}`;
+const OIDC_ENABLED = process.env.MOCK_OIDC !== 'false';
+
+// Registered client credentials (unchecked when unset)
+const CLIENT_SECRET = process.env.MOCK_CLIENT_SECRET || '';
+const CLIENT_PUBLIC_KEY = process.env.MOCK_CLIENT_PUBLIC_KEY
+  ? crypto.createPublicKey(fs.readFileSync(process.env.MOCK_CLIENT_PUBLIC_KEY, 'utf8'))
+  : null;
+
+// Seconds device clients must wait between polls
+const DEVICE_INTERVAL = Number(process.env.MOCK_DEVICE_INTERVAL) || 5;
+const DEVICE_CODE_TTL = 600;
+
+// Scopes a client may get for itself with the client credentials grant
+const SERVICE_SCOPES = ['organizations:read', 'projects:read'];
+
+// Scopes the mock user declines
+const DENIED_SCOPES = (process.env.MOCK_DENY_SCOPES || '').split(' ').filter(Boolean);
+
+// =============================================================================
+// In-memory State
+// =============================================================================
+
+const codes = new Map();          // code -> { clientId, redirectUri, scope, codeChallenge, nonce }
+const accessTokens = new Map();   // token -> { scope, expiresAt }
+const refreshTokens = new Map();  // token -> { scope, clientId }
+const revocations = [];           // { token_type_hint, token, known, at }
+const clientAuthLog = [];         // { endpoint, clientId, method, at }
+const grants = new Map();         // clientId -> Set of scopes granted so far
+const deviceCodes = new Map();    // device_code -> { clientId, scope, userCode, status, expiresAt, lastPollAt }
+
+const user = { id: 'mock-user-1', email: 'dev@example.com' };
+
+const organizations = [
+  { id: 'org-1', name: 'Acme', type: 'organization', description: 'Mock organization' },
+];
+
+const projects = {
+  'org-1': [
+    { id: 'proj-1', name: 'acme-web', status: 'active', appkey: 'acmeweb', region: 'us-east' },
+  ],
+};
+
+// Signing keys, newest first; the first one signs id_tokens
+let signingKeys = [createSigningKey()];
+
+function randomToken(prefix) {
+  return `${prefix}_${crypto.randomBytes(16).toString('hex')}`;
+}
+
+function createSigningKey() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  return { kid: crypto.randomBytes(8).toString('hex'), privateKey, publicKey };
+}
+
+/**
+ * Sign an RS256 JWT with the current key
+ */
+function signJwt(claims) {
+  const { kid, privateKey } = signingKeys[0];
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const input = `${encode({ alg: 'RS256', typ: 'JWT', kid })}.${encode(claims)}`;
+  return `${input}.${crypto.sign('sha256', Buffer.from(input), privateKey).toString('base64url')}`;
+}
+
+function issueTokens({ scope, clientId, nonce, refresh = true }) {
+  const accessToken = randomToken('at');
+  accessTokens.set(accessToken, { scope, expiresAt: Date.now() + ACCESS_TOKEN_TTL * 1000 });
+
+  const tokens = {
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: ACCESS_TOKEN_TTL,
+    scope,
+  };
+  if (refresh) {
+    tokens.refresh_token = randomToken('rt');
+    refreshTokens.set(tokens.refresh_token, { scope, clientId });
+  }
+
+  if ((scope || '').split(' ').includes('openid')) {
+    const now = Math.floor(Date.now() / 1000);
+    tokens.id_token = signJwt({
+      iss: ISSUER,
+      sub: user.id,
+      aud: clientId,
+      iat: now,
+      exp: now + ACCESS_TOKEN_TTL,
+      email: user.email,
+      ...(nonce && { nonce }),
+    });
+  }
+  return tokens;
+}
+
+/**
+ * Identify and authenticate the client calling the token or revocation endpoint
+ * Returns { clientId, method }, or sends a 401 invalid_client and returns null.
+ */
+function authenticateClient(req, res) {
+  const fail = (description) => {
+    res.status(401).json({ error: 'invalid_client', error_description: description });
+    return null;
+  };
+  const header = req.headers.authorization || '';
+  let result;
+
+  if (header.startsWith('Basic ')) {
+    const [id, secret] = Buffer.from(header.slice(6), 'base64').toString().split(':').map(decodeURIComponent);
+    if (CLIENT_SECRET && secret !== CLIENT_SECRET) return fail('Invalid client secret');
+    result = { clientId: id, method: 'client_secret_basic' };
+  } else if (req.body.client_assertion) {
+    if (!CLIENT_PUBLIC_KEY) return fail('No client public key registered (set MOCK_CLIENT_PUBLIC_KEY)');
+    const [header64, payload64, signature] = String(req.body.client_assertion).split('.');
+    const { alg } = JSON.parse(Buffer.from(header64, 'base64url').toString());
+    const claims = JSON.parse(Buffer.from(payload64, 'base64url').toString());
+    const valid = alg === 'RS256'
+      && crypto.verify('sha256', Buffer.from(`${header64}.${payload64}`), CLIENT_PUBLIC_KEY, Buffer.from(signature, 'base64url'));
+    if (!valid) return fail('Invalid client assertion signature');
+    if (claims.iss !== claims.sub || claims.aud !== `${ISSUER}/api/oauth/v1/token`
+      || claims.exp < Date.now() / 1000) {
+      return fail('Invalid client assertion claims');
+    }
+    result = { clientId: claims.sub, method: 'private_key_jwt' };
+  } else if (req.body.client_secret) {
+    if (CLIENT_SECRET && req.body.client_secret !== CLIENT_SECRET) return fail('Invalid client secret');
+    result = { clientId: req.body.client_id, method: 'client_secret_post' };
+  } else {
+    result = { clientId: req.body.client_id, method: 'none' };
+  }
+
+  clientAuthLog.push({ endpoint: req.path, ...result, at: new Date().toISOString() });
+  console.log(`Client ${result.clientId} authenticated with ${result.method}`);
+  return result;
+}
+
+// =============================================================================
+// OpenID Connect Discovery
+// =============================================================================
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  if (!OIDC_ENABLED) {
+    return res.status(404).json({ error: 'not_found' });
+  }
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/api/oauth/v1/authorize`,
+    token_endpoint: `${ISSUER}/api/oauth/v1/token`,
+    revocation_endpoint: `${ISSUER}/api/oauth/v1/revoke`,
+    device_authorization_endpoint: `${ISSUER}/api/oauth/v1/device/authorize`,
+    userinfo_endpoint: `${ISSUER}/api/oauth/v1/userinfo`,
+    jwks_uri: `${ISSUER}/.well-known/jwks.json`,
+    response_types_supported: ['code'],
+    grant_types_supported: [
+      'authorization_code',
+      'refresh_token',
+      'urn:ietf:params:oauth:grant-type:device_code',
+      'client_credentials',
+    ],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['none', 'client_secret_basic', 'client_secret_post', 'private_key_jwt'],
+    scopes_supported: ['openid', 'user:read', 'organizations:read', 'projects:read', 'projects:write'],
+  });
+});
+
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.json({
+    keys: signingKeys.map(({ kid, publicKey }) => ({
+      ...publicKey.export({ format: 'jwk' }),
+      kid,
+      use: 'sig',
+      alg: 'RS256',
+    })),
+  });
+});
+
+// =============================================================================
+// OAuth Endpoints
+// =============================================================================
+
+/**
+ * Authorization endpoint - approves immediately and redirects back with a code
+ */
+app.get('/api/oauth/v1/authorize', (req, res) => {
+  const { client_id, redirect_uri, scope, state, code_challenge, nonce, include_granted_scopes } = req.query;
+
+  const approved = (scope || '').split(' ').filter((s) => s && !DENIED_SCOPES.includes(s));
+  const granted = new Set(include_granted_scopes === 'true' ? grants.get(client_id) : []);
+  approved.forEach((s) => granted.add(s));
+  grants.set(client_id, new Set([...(grants.get(client_id) || []), ...approved]));
+
+  const code = randomToken('code');
+  codes.set(code, {
+    clientId: client_id,
+    redirectUri: redirect_uri,
+    scope: [...granted].join(' '),
+    codeChallenge: code_challenge,
+    nonce,
+  });
+
+  const callback = new URL(redirect_uri);
+  callback.searchParams.set('code', code);
+  if (state) callback.searchParams.set('state', state);
+  res.redirect(callback.toString());
+});
+
+/**
+ * Device authorization endpoint (RFC 8628) - hands out a device and user code
+ */
+app.post('/api/oauth/v1/device/authorize', (req, res) => {
+  const client = authenticateClient(req, res);
+  if (!client) return;
+
+  const deviceCode = randomToken('dc');
+  // Two groups of four letters, as shown to the user
+  const letters = Array.from(crypto.randomBytes(8), (byte) => 'BCDFGHJKLMNPQRSTVWXZ'[byte % 20]).join('');
+  const userCode = `${letters.slice(0, 4)}-${letters.slice(4)}`;
+  deviceCodes.set(deviceCode, {
+    clientId: client.clientId,
+    scope: req.body.scope || '',
+    userCode,
+    status: 'pending',
+    expiresAt: Date.now() + DEVICE_CODE_TTL * 1000,
+    lastPollAt: 0,
+  });
+
+  res.json({
+    device_code: deviceCode,
+    user_code: userCode,
+    verification_uri: `${ISSUER}/device`,
+    verification_uri_complete: `${ISSUER}/device?user_code=${userCode}`,
+    expires_in: DEVICE_CODE_TTL,
+    interval: DEVICE_INTERVAL,
+  });
+});
+
+/**
+ * Verification page - approves (or with ?action=deny, declines) a user code
+ */
+app.get('/device', (req, res) => {
+  const entry = [...deviceCodes.values()].find((device) => device.userCode === req.query.user_code);
+  if (!entry || entry.status !== 'pending') {
+    return res.status(404).type('text').send('Unknown or used code.');
+  }
+  if (req.query.action === 'deny') {
+    entry.status = 'denied';
+    return res.type('text').send('Access denied. You can close this page.');
+  }
+
+  const approved = entry.scope.split(' ').filter((s) => s && !DENIED_SCOPES.includes(s));
+  grants.set(entry.clientId, new Set([...(grants.get(entry.clientId) || []), ...approved]));
+  entry.scope = approved.join(' ');
+  entry.status = 'approved';
+  res.type('text').send('Device approved. You can return to your terminal.');
+});
+
+/**
+ * Token endpoint - authorization_code, refresh_token, device_code and
+ * client_credentials grants
+ * Refresh tokens rotate: each one can be redeemed once.
+ */
+app.post('/api/oauth/v1/token', (req, res) => {
+  const { grant_type } = req.body;
+  const client = authenticateClient(req, res);
+  if (!client) return;
+
+  if (grant_type === 'authorization_code') {
+    const { code, redirect_uri, code_verifier } = req.body;
+    const grant = codes.get(code);
+    codes.delete(code);
+
+    if (!grant || grant.redirectUri !== redirect_uri || grant.clientId !== client.clientId) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'Unknown or used code' });
+    }
+    // Public clients have no secret: PKCE is what proves they started the flow
+    if (client.method === 'none' && !grant.codeChallenge) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'Public clients must use PKCE' });
+    }
+    const challenge = crypto.createHash('sha256').update(code_verifier || '').digest('base64url');
+    if (grant.codeChallenge && challenge !== grant.codeChallenge) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+    return res.json(issueTokens({ scope: grant.scope, clientId: grant.clientId, nonce: grant.nonce }));
+  }
+
+  if (grant_type === 'refresh_token') {
+    const stored = refreshTokens.get(req.body.refresh_token);
+    if (!stored || stored.clientId !== client.clientId) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'Invalid refresh token' });
+    }
+    refreshTokens.delete(req.body.refresh_token);
+    return res.json(issueTokens({ scope: stored.scope, clientId: stored.clientId }));
+  }
+
+  if (grant_type === 'urn:ietf:params:oauth:grant-type:device_code') {
+    const device = deviceCodes.get(req.body.device_code);
+    const fail = (error, description) => res.status(400).json({ error, error_description: description });
+    if (!device || device.clientId !== client.clientId) {
+      return fail('invalid_grant', 'Unknown device code');
+    }
+    if (device.expiresAt < Date.now()) {
+      deviceCodes.delete(req.body.device_code);
+      return fail('expired_token', 'The device code expired');
+    }
+    const tooSoon = Date.now() - device.lastPollAt < DEVICE_INTERVAL * 1000;
+    device.lastPollAt = Date.now();
+    if (tooSoon) {
+      return fail('slow_down', `Poll at most every ${DEVICE_INTERVAL} seconds`);
+    }
+    if (device.status === 'pending') {
+      return fail('authorization_pending', 'The user has not approved yet');
+    }
+    deviceCodes.delete(req.body.device_code);
+    if (device.status === 'denied') {
+      return fail('access_denied', 'The user declined');
+    }
+    return res.json(issueTokens({ scope: device.scope, clientId: device.clientId }));
+  }
+
+  if (grant_type === 'client_credentials') {
+    // No user to act for: the client has to prove who it is
+    if (client.method === 'none') {
+      return res.status(400).json({
+        error: 'unauthorized_client',
+        error_description: 'Public clients cannot use client_credentials',
+      });
+    }
+    const requested = (req.body.scope || '').split(' ').filter(Boolean);
+    const refused = requested.filter((scope) => !SERVICE_SCOPES.includes(scope));
+    if (refused.length > 0) {
+      return res.status(400).json({
+        error: 'invalid_scope',
+        error_description: `Not available to clients: ${refused.join(' ')}`,
+      });
+    }
+    const scope = (requested.length > 0 ? requested : SERVICE_SCOPES).join(' ');
+    return res.json(issueTokens({ scope, clientId: client.clientId, refresh: false }));
+  }
+
+  res.status(400).json({ error: 'unsupported_grant_type' });
+});
+
+/**
+ * Revocation endpoint (RFC 7009)
+ * Always answers 200, even for unknown tokens.
+ */
+app.post('/api/oauth/v1/revoke', (req, res) => {
+  const { token, token_type_hint } = req.body;
+  if (!authenticateClient(req, res)) return;
+
+  const known = accessTokens.delete(token) || refreshTokens.delete(token);
+
+  revocations.push({ token_type_hint, token, known, at: new Date().toISOString() });
+  console.log(`Revoked ${token_type_hint || 'token'} (${known ? 'known' : 'unknown'})`);
+  res.status(200).end();
+});
+
+// =============================================================================
+// API Endpoints
+// =============================================================================
+
+/**
+ * Require a valid, unexpired bearer token (with `scope`, if given)
+ */
+function requireToken(scope) {
+  return (req, res, next) => {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    const stored = accessTokens.get(token);
+
+    if (!stored || stored.expiresAt < Date.now()) {
+      return res.status(401).json({ error: 'invalid_token' });
+    }
+    if (scope && !(stored.scope || '').split(' ').includes(scope)) {
+      return res.status(403).json({ error: 'insufficient_scope', message: `Requires ${scope}` });
+    }
+    next();
+  };
+}
+
+app.get('/auth/v1/profile', requireToken('user:read'), (req, res) => {
+  res.json({ user });
+});
+
+app.get('/api/oauth/v1/userinfo', requireToken(), (req, res) => {
+  res.json({ sub: user.id, email: user.email });
+});
+
+app.get('/organizations/v1', requireToken('organizations:read'), (req, res) => {
+  res.json({ organizations });
+});
+
+app.get('/organizations/v1/:orgId/projects', requireToken('projects:read'), (req, res) => {
+  res.json({ projects: projects[req.params.orgId] || [] });
+});
+
+app.post('/organizations/v1/:orgId/projects', requireToken('projects:write'), (req, res) => {
+  const { name, region = 'us-east' } = req.body || {};
+  if (!name) {
+    return res.status(400).json({ error: 'invalid_request', message: 'name is required' });
+  }
+  const project = {
+    id: randomToken('proj'),
+    name,
+    status: 'active',
+    appkey: name.toLowerCase().replace(/[^a-z0-9]/g, ''),
+    region,
+  };
+  (projects[req.params.orgId] ||= []).push(project);
+  res.status(201).json({ project });
+});
+
+// Rotations per project: each one changes the key
+const keyVersions = new Map();
+
+function findProject(projectId) {
+  for (const list of Object.values(projects)) {
+    const index = list.findIndex((project) => project.id === projectId);
+    if (index !== -1) {
+      return { list, index, project: list[index] };
+    }
+  }
+  return null;
+}
+
+function requireProject(req, res, next) {
+  req.found = findProject(req.params.projectId);
+  if (!req.found) {
+    return res.status(404).json({ error: 'not_found', message: 'Project not found' });
+  }
+  next();
+}
+
+app.patch('/projects/v1/:projectId', requireToken('projects:write'), requireProject, (req, res) => {
+  const { name, region } = req.body || {};
+  Object.assign(req.found.project, name && { name }, region && { region });
+  res.json({ project: req.found.project });
+});
+
+app.delete('/projects/v1/:projectId', requireToken('projects:write'), requireProject, (req, res) => {
+  req.found.list.splice(req.found.index, 1);
+  res.status(204).end();
+});
+
+app.get('/projects/v1/:projectId/access-api-key', requireToken('projects:read'), (req, res) => {
+  const version = keyVersions.get(req.params.projectId) || 0;
+  res.json({ access_api_key: `ik_${req.params.projectId}_mock${version ? `_v${version + 1}` : ''}` });
+});
+
+app.post('/projects/v1/:projectId/access-api-key/rotate', requireToken('projects:write'), requireProject, (req, res) => {
+  const version = (keyVersions.get(req.params.projectId) || 0) + 1;
+  keyVersions.set(req.params.projectId, version);
+  res.json({ access_api_key: `ik_${req.params.projectId}_mock_v${version + 1}` });
+});
+
+// =============================================================================
+// Inspection
+// =============================================================================
+
+app.get('/mock/revocations', (req, res) => {
+  res.json({ revocations });
+});
+
+app.get('/mock/client-auth', (req, res) => {
+  res.json({ requests: clientAuthLog });
+});
+
+app.post('/mock/rotate-keys', (req, res) => {
+  signingKeys = req.query.retire ? [createSigningKey()] : [createSigningKey(), ...signingKeys];
+  res.json({ kids: signingKeys.map(({ kid }) => kid) });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock InsForge running at http://localhost:${PORT}`);
+});
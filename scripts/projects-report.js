@@ -0,0 +1,87 @@
+/**
+ * Projects Report - Example Backend Job
+ *
+ * Lists every organization and project the app's client can see, with no
+ * user logged in: the token comes from the client credentials grant, and the
+ * organizations and projects are loaded like the home page loads them.
+ *
+ * Usage (same .env as the server; the client must be confidential):
+ *   npm run report
+ *   SERVICE_SCOPES="organizations:read" node scripts/projects-report.js
+ *
+ * Exits with status 1 if anything failed to load, so a scheduler notices.
+ */
+
+require('dotenv').config();
+const { loadConfig, providerOptions, ConfigError } = require('../src/config');
+const { InsForgeOAuthClient } = require('../src/oauth-client');
+const { ServiceTokenProvider } = require('../src/service-tokens');
+const { InsForgeApiClient } = require('../src/api-client');
+const { loadDashboard } = require('../src/dashboard');
+const { OAuthError } = require('../src/errors');
+
+async function main() {
+  let config;
+  try {
+    config = loadConfig(process.env, { server: false });
+  } catch (err) {
+    if (!(err instanceof ConfigError)) throw err;
+    console.error(err.message);
+    return 1;
+  }
+
+  // With several providers, the first one's (see INSFORGE_PROVIDERS)
+  const client = new InsForgeOAuthClient(providerOptions(config));
+
+  if (client.clientAuth.clientType !== 'confidential') {
+    console.error('The report needs a confidential client: set INSFORGE_CLIENT_SECRET or INSFORGE_PRIVATE_KEY_FILE');
+    return 1;
+  }
+
+  const tokens = new ServiceTokenProvider({
+    client,
+    scope: config.SERVICE_SCOPES,
+    refreshMarginMs: config.TOKEN_REFRESH_MARGIN_MS,
+  });
+  try {
+    // Fail early, and once, if InsForge refuses the client
+    await tokens.getAccessToken();
+  } catch (err) {
+    if (!(err instanceof OAuthError)) throw err;
+    console.error(`Failed to get a service token: ${err.message}`);
+    return 1;
+  }
+
+  const api = InsForgeApiClient.forService(tokens);
+  const { organizations, error } = await loadDashboard(api, {
+    concurrency: config.DASHBOARD_CONCURRENCY,
+    timeoutMs: config.UPSTREAM_TIMEOUT_MS,
+    projects: tokens.scopes.includes('projects:read'),
+  });
+  if (error) {
+    console.error(`Failed to load organizations: ${error}`);
+    return 1;
+  }
+
+  let failed = false;
+  for (const org of organizations) {
+    console.log(`${org.name} (${org.id})`);
+    if (org.projectsError) {
+      failed = true;
+      console.log(`  Failed to load projects: ${org.projectsError}`);
+    }
+    for (const project of org.projects) {
+      console.log(`  ${project.name}\t${project.region || '-'}\t${project.status || '-'}\t${project.id}`);
+    }
+  }
+  return failed ? 1 : 0;
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
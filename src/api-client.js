@@ -0,0 +1,298 @@
+/**
+ * InsForge API Client
+ *
+ * Typed wrapper around the InsForge organization and project endpoints.
+ * It takes an authenticated fetch (e.g. req.insforge.fetch) so token
+ * handling stays with whoever owns the tokens.
+ *
+ * Each client acts as one identity:
+ *   user     A logged-in user's token (req.insforge.api in a request)
+ *   service  The app's own client credentials token, for backend jobs
+ *
+ * Usage:
+ *   const api = new InsForgeApiClient({ identity: 'user', fetch: req.insforge.fetch });
+ *   const organizations = await api.listOrganizations();
+ *
+ *   const api = InsForgeApiClient.forService(new ServiceTokenProvider({ client }));
+ *
+ * With a cache (see cache.js), GET responses are reused while fresh and
+ * revalidated with If-None-Match when InsForge sent an ETag.
+ */
+
+const { InsForgeApiError, UpstreamError } = require('./errors');
+
+// Items requested per page when listing
+const PAGE_SIZE = 100;
+
+// Pages listAll() follows before giving up (a broken upstream could go on forever)
+const MAX_PAGES = 100;
+
+const IDENTITIES = ['user', 'service'];
+
+// =============================================================================
+// Types
+// =============================================================================
+
+/**
+ * @typedef {Object} Organization
+ * @property {string} id
+ * @property {string} name
+ * @property {string} [type]
+ * @property {string} [description]
+ */
+
+/**
+ * @typedef {Object} Project
+ * @property {string} id
+ * @property {string} name
+ * @property {string} [status]          e.g. 'active'
+ * @property {string} [region]          e.g. 'us-east'
+ * @property {string} [appkey]          Subdomain of https://{appkey}.{region}.insforge.app
+ * @property {string} [organization_id]
+ */
+
+/**
+ * @typedef {Object} ProjectInput
+ * @property {string} [name]
+ * @property {string} [region]
+ */
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {Object} [query]      Query string parameters
+ * @property {Object} [body]       JSON request body
+ * @property {AbortSignal} [signal]
+ * @property {boolean} [cache]     Set to false to bypass the cache for a GET
+ */
+
+// =============================================================================
+// Client
+// =============================================================================
+
+class InsForgeApiClient {
+  /**
+   * @param {Object} options
+   * @param {(path: string, init?: RequestInit) => Promise<Response>} options.fetch
+   *   Authenticated fetch; paths are relative to the InsForge URL
+   * @param {'user'|'service'} [options.identity]  Whose token `fetch` sends (default user)
+   * @param {ReturnType<import('./cache').ApiCache['forUser']>} [options.cache]
+   *   Cache for GET responses, for this identity only
+   */
+  constructor({ fetch, identity = 'user', cache }) {
+    if (!fetch) throw new TypeError('fetch is required');
+    if (!IDENTITIES.includes(identity)) {
+      throw new TypeError(`Unknown identity "${identity}": use ${IDENTITIES.join(' or ')}`);
+    }
+    this.fetch = fetch;
+    this.identity = identity;
+    this.cache = cache;
+  }
+
+  /**
+   * Client acting as the app itself, with a client credentials token
+   *
+   * Cached responses are kept apart from every user's, under the client id.
+   *
+   * @param {import('./service-tokens').ServiceTokenProvider} tokens
+   * @param {Object} [options]
+   * @param {import('./cache').ApiCache} [options.cache]
+   */
+  static forService(tokens, { cache } = {}) {
+    return new InsForgeApiClient({
+      identity: 'service',
+      fetch: tokens.fetch,
+      cache: cache?.forUser(`service:${tokens.client.clientId}`, tokens.scopes),
+    });
+  }
+
+  /**
+   * List every organization the user (or the service client) can access
+   * @returns {Promise<Organization[]>}
+   */
+  listOrganizations({ signal } = {}) {
+    return this.listAll('/organizations/v1', 'organizations', { signal });
+  }
+
+  /**
+   * List every project in an organization
+   * @returns {Promise<Project[]>}
+   */
+  listProjects(organizationId, { signal } = {}) {
+    return this.listAll(`/organizations/v1/${encodeURIComponent(organizationId)}/projects`, 'projects', { signal });
+  }
+
+  /**
+   * Get a project's access API key
+   * @returns {Promise<string>}
+   */
+  async getProjectApiKey(projectId, { signal } = {}) {
+    // Secrets are never cached
+    const data = await this.request('GET', `/projects/v1/${encodeURIComponent(projectId)}/access-api-key`, {
+      signal,
+      cache: false,
+    });
+    return data.access_api_key;
+  }
+
+  /**
+   * Create a project in an organization (requires projects:write)
+   * @param {string} organizationId
+   * @param {ProjectInput} input
+   * @returns {Promise<Project>}
+   */
+  async createProject(organizationId, input, { signal } = {}) {
+    const data = await this.request('POST', `/organizations/v1/${encodeURIComponent(organizationId)}/projects`, {
+      body: input,
+      signal,
+    });
+    return data.project || data;
+  }
+
+  /**
+   * Update a project (requires projects:write)
+   * @param {string} projectId
+   * @param {ProjectInput} changes
+   * @returns {Promise<Project>}
+   */
+  async updateProject(projectId, changes, { signal } = {}) {
+    const data = await this.request('PATCH', `/projects/v1/${encodeURIComponent(projectId)}`, {
+      body: changes,
+      signal,
+    });
+    return data.project || data;
+  }
+
+  /**
+   * Delete a project (requires projects:write)
+   * @param {string} projectId
+   */
+  async deleteProject(projectId, { signal } = {}) {
+    await this.request('DELETE', `/projects/v1/${encodeURIComponent(projectId)}`, { signal });
+  }
+
+  /**
+   * Replace a project's access API key; the old key stops working
+   * (requires projects:write)
+   * @returns {Promise<string>} The new key
+   */
+  async rotateProjectApiKey(projectId, { signal } = {}) {
+    const data = await this.request('POST', `/projects/v1/${encodeURIComponent(projectId)}/access-api-key/rotate`, {
+      signal,
+    });
+    return data.access_api_key;
+  }
+
+  /**
+   * Collect every page of a list endpoint
+   *
+   * Pages are requested with limit/offset. Listing continues while the
+   * response reports a next_cursor or a total larger than what was fetched,
+   * so endpoints that return everything at once take a single request. An
+   * empty page ends the list.
+   *
+   * @throws {UpstreamError} if a cursor comes back again or there are more than MAX_PAGES pages
+   */
+  async listAll(path, key, { signal } = {}) {
+    const items = [];
+    const cursors = new Set();
+    let query = { limit: PAGE_SIZE, offset: 0 };
+
+    for (let pages = 1; ; pages++) {
+      const data = await this.request('GET', path, { query, signal });
+      const page = data[key] || [];
+      items.push(...page);
+
+      const nextCursor = data.next_cursor || data.pagination?.next_cursor;
+      const total = data.total ?? data.pagination?.total;
+
+      if (page.length === 0 || !(nextCursor || total > items.length)) {
+        return items;
+      }
+      if (pages >= MAX_PAGES) {
+        throw new UpstreamError(`InsForge listed more than ${MAX_PAGES} pages of ${path}`);
+      }
+      if (nextCursor) {
+        if (cursors.has(nextCursor)) {
+          throw new UpstreamError(`InsForge repeated a page cursor for ${path}`);
+        }
+        cursors.add(nextCursor);
+        query = { limit: PAGE_SIZE, cursor: nextCursor };
+      } else {
+        query = { limit: PAGE_SIZE, offset: items.length };
+      }
+    }
+  }
+
+  /**
+   * Call an endpoint and parse the JSON response
+   * GETs go through the cache unless `cache: false` is passed.
+   * @param {string} method
+   * @param {string} path
+   * @param {RequestOptions} [options]
+   * @throws {InsForgeApiError} for error statuses
+   * @throws {UpstreamError} for non-JSON responses
+   */
+  async request(method, path, { query, body, signal, cache = true } = {}) {
+    const search = query ? `?${new URLSearchParams(query)}` : '';
+    const url = `${path}${search}`;
+    const cached = method === 'GET' && cache && this.cache ? await this.cache.get(url) : undefined;
+
+    if (cached && cached.freshUntil > Date.now()) {
+      return cached.data;
+    }
+
+    const headers = {};
+    if (body) {
+      headers['Content-Type'] = 'application/json';
+    }
+    if (cached?.etag) {
+      headers['If-None-Match'] = cached.etag;
+    }
+
+    const response = await this.fetch(url, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined,
+      signal,
+    });
+
+    // Not modified: the cached copy is fresh again
+    if (response.status === 304 && cached) {
+      await this.cache.set(url, cached);
+      return cached.data;
+    }
+
+    const text = await response.text();
+    let data = {};
+    try {
+      data = text ? JSON.parse(text) : {};
+    } catch (err) {
+      if (response.ok) {
+        throw new UpstreamError(`${method} ${path} returned a non-JSON response`, {
+          status: response.status,
+          cause: err,
+        });
+      }
+    }
+
+    if (!response.ok) {
+      const code = data.error || `http_${response.status}`;
+      throw new InsForgeApiError(`${method} ${path} failed: ${data.message || data.error_description || code}`, {
+        status: response.status,
+        code,
+        method,
+        path,
+        body: data,
+      });
+    }
+
+    if (method === 'GET' && cache && this.cache) {
+      await this.cache.set(url, { data, etag: response.headers.get('etag') || undefined });
+    }
+    return data;
+  }
+}
+
+module.exports = {
+  InsForgeApiClient,
+};
@@ -0,0 +1,30 @@
+/**
+ * Audit Log
+ *
+ * One JSON line per security-relevant event (e.g. a secret being revealed),
+ * written to stdout so it can be shipped with the rest of the app logs.
+ * Never pass secret values in `details`.
+ */
+
+const { getAccount } = require('./session-tokens');
+
+/**
+ * Record an audit event for the current request (by the active account's user)
+ */
+function audit(req, event, details = {}) {
+  console.log(JSON.stringify({
+    type: 'audit',
+    event,
+    at: new Date().toISOString(),
+    requestId: req.id || null,
+    provider: req.session?.activeProvider || null,
+    userId: (req.session && getAccount(req)?.user?.id) || null,
+    ip: req.ip,
+    userAgent: req.get('user-agent') || null,
+    ...details,
+  }));
+}
+
+module.exports = {
+  audit,
+};
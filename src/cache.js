@@ -0,0 +1,200 @@
+/**
+ * InsForge API Cache
+ *
+ * Per-user cache for InsForge API responses, keyed by user id and granted
+ * scopes. Entries are fresh for a TTL; after that they are revalidated with
+ * If-None-Match when InsForge sent an ETag.
+ *
+ * Stores are pluggable. Anything with these async methods works:
+ *   get(key)               -> value | undefined
+ *   set(key, value, ttlMs)
+ *   delete(key)
+ *
+ * MemoryCacheStore is the default; RedisCacheStore adapts a Redis client.
+ */
+
+const crypto = require('crypto');
+
+// Stale entries with an ETag are kept this many TTLs for revalidation
+const REVALIDATE_WINDOW = 10;
+
+// How long a user's cache generation is kept
+const GENERATION_TTL_MS = 365 * 24 * 60 * 60 * 1000;
+
+// =============================================================================
+// Stores
+// =============================================================================
+
+/**
+ * In-process store (per instance, lost on restart)
+ */
+class MemoryCacheStore {
+  constructor({ maxEntries = 10000 } = {}) {
+    this.entries = new Map();
+    this.maxEntries = maxEntries;
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+    if (this.entries.size > this.maxEntries) {
+      this.prune();
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Drop expired entries, then the oldest ones while still over maxEntries
+   */
+  prune() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+    for (const key of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries) {
+        break;
+      }
+      this.entries.delete(key);
+    }
+  }
+}
+
+/**
+ * Redis-backed store, shared between instances
+ *
+ * Takes an ioredis-compatible client: get(key), set(key, value, 'PX', ms), del(key).
+ */
+class RedisCacheStore {
+  constructor(client, { prefix = 'insforge-cache:' } = {}) {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  async get(key) {
+    const value = await this.client.get(this.prefix + key);
+    return value == null ? undefined : JSON.parse(value);
+  }
+
+  async set(key, value, ttlMs) {
+    await this.client.set(this.prefix + key, JSON.stringify(value), 'PX', Math.ceil(ttlMs));
+  }
+
+  async delete(key) {
+    await this.client.del(this.prefix + key);
+  }
+}
+
+// =============================================================================
+// Cache
+// =============================================================================
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {*} data
+ * @property {string} [etag]
+ * @property {number} freshUntil  Timestamp (ms) after which the entry is revalidated
+ */
+
+class ApiCache {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.store]  Cache store (default: MemoryCacheStore)
+   * @param {number} [options.ttlMs]  How long responses are fresh (default 60s)
+   */
+  constructor({ store = new MemoryCacheStore(), ttlMs = 60 * 1000 } = {}) {
+    this.store = store;
+    this.ttlMs = ttlMs;
+  }
+
+  /**
+   * Drop everything cached for a user
+   *
+   * Keys include a per-user generation, so bumping it orphans every old
+   * entry without listing keys (which Redis-style stores make expensive).
+   */
+  async invalidate(userId) {
+    await this.store.set(generationKey(userId), newGeneration(), GENERATION_TTL_MS);
+  }
+
+  /**
+   * The user's current generation, starting a new one if there is none
+   *
+   * The store may evict the generation like any other entry. A new one never
+   * matches the keys written before, so eviction only loses cached responses
+   * and can't bring back invalidated ones.
+   */
+  async generation(userId) {
+    const current = await this.store.get(generationKey(userId));
+    if (current) {
+      return current;
+    }
+    const generation = newGeneration();
+    await this.store.set(generationKey(userId), generation, GENERATION_TTL_MS);
+    return generation;
+  }
+
+  /**
+   * Cache view for one user and scope set, used by InsForgeApiClient
+   */
+  forUser(userId, scopes = []) {
+    const scopeKey = crypto.createHash('sha256')
+      .update([...scopes].sort().join(' '))
+      .digest('hex')
+      .slice(0, 16);
+
+    const keyFor = async (path) => {
+      const generation = await this.generation(userId);
+      return `${userId}:${generation}:${scopeKey}:${path}`;
+    };
+
+    return {
+      /** @returns {Promise<CacheEntry | undefined>} */
+      get: async (path) => this.store.get(await keyFor(path)),
+
+      /** Store a response, fresh for the cache TTL */
+      set: async (path, { data, etag }) => {
+        const entry = { data, etag, freshUntil: Date.now() + this.ttlMs };
+        const keepMs = etag ? this.ttlMs * REVALIDATE_WINDOW : this.ttlMs;
+        await this.store.set(await keyFor(path), entry, keepMs);
+      },
+
+      invalidate: () => this.invalidate(userId),
+    };
+  }
+}
+
+function generationKey(userId) {
+  return `${userId}:generation`;
+}
+
+/**
+ * A generation unlike any before: time-ordered, random within the same millisecond
+ */
+function newGeneration() {
+  return `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+module.exports = {
+  ApiCache,
+  MemoryCacheStore,
+  RedisCacheStore,
+};
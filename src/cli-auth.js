@@ -0,0 +1,301 @@
+/**
+ * Login for CLIs, Desktop Apps and Headless Tools
+ *
+ * Two ways to log in without a server at CALLBACK_URL:
+ *
+ *   deviceLogin()    Device authorization grant (RFC 8628): the user opens a
+ *                    URL on any device and enters a short code while the
+ *                    tool polls for the tokens. Works over SSH and in containers.
+ *   loopbackLogin()  Authorization code with PKCE, redirected to a one-time
+ *                    server on 127.0.0.1 and an ephemeral port (RFC 8252).
+ *                    For desktop tools that can open a browser.
+ *
+ * CredentialStore keeps the result in a file and hands out fresh access tokens:
+ *
+ *   const tokens = await deviceLogin(client, { onPrompt: ({ userCode, verificationUri }) => ... });
+ *   const store = new CredentialStore();
+ *   await store.save(tokens, { baseUrl: client.baseUrl });
+ *   const accessToken = await store.getAccessToken(client);
+ *
+ * `node src/cli.js login` uses them (see cli.js).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { setTimeout: delay } = require('timers/promises');
+const { generateCodeVerifier, generateState } = require('./oauth-client');
+const { OAuthError, InvalidGrantError, AccessDeniedError, InvalidStateError, UpstreamError } = require('./errors');
+
+// RFC 8628 section 3.5: each slow_down adds 5 seconds to the polling interval
+const SLOW_DOWN_MS = 5 * 1000;
+
+const DEFAULT_LOOPBACK_TIMEOUT_MS = 5 * 60 * 1000;
+const LOOPBACK_CALLBACK_PATH = '/callback';
+
+// Refresh stored access tokens this long before they expire
+const DEFAULT_REFRESH_MARGIN_MS = 60 * 1000;
+
+// =============================================================================
+// Device Authorization Grant
+// =============================================================================
+
+/**
+ * Log in with the device authorization grant
+ *
+ * Calls `onPrompt` with what the user needs, then polls the token endpoint
+ * every `interval` seconds (5 more after each slow_down, doubling after a
+ * network failure) until the user approves, declines or the code expires.
+ *
+ * @param {import('./oauth-client').InsForgeOAuthClient} client
+ * @param {Object} options
+ * @param {(prompt: { userCode: string, verificationUri: string, verificationUriComplete?: string,
+ *   expiresAt: Date }) => void|Promise<void>} options.onPrompt
+ * @param {string} [options.scope]        Scopes to ask for (default: the client's)
+ * @param {AbortSignal} [options.signal]  Stops polling (e.g. on Ctrl+C)
+ * @returns {Promise<import('./oauth-client').TokenResponse>}
+ * @throws {AccessDeniedError} if the user declined
+ * @throws {OAuthError} expired_token if nobody approved in time
+ */
+async function deviceLogin(client, { onPrompt, scope, signal } = {}) {
+  const authorization = await client.requestDeviceCode({ scope });
+  const expiresAt = Date.now() + authorization.expires_in * 1000;
+
+  await onPrompt({
+    userCode: authorization.user_code,
+    verificationUri: authorization.verification_uri,
+    verificationUriComplete: authorization.verification_uri_complete,
+    expiresAt: new Date(expiresAt),
+  });
+
+  let intervalMs = authorization.interval * 1000;
+  for (;;) {
+    await delay(intervalMs, undefined, { signal });
+    if (Date.now() >= expiresAt) {
+      throw new OAuthError('expired_token', 'The code expired before the login was approved');
+    }
+
+    try {
+      return await client.pollDeviceToken(authorization.device_code);
+    } catch (err) {
+      if (err instanceof UpstreamError) {
+        // RFC 8628 section 3.5: back off while InsForge is unreachable
+        console.warn(`InsForge is unreachable, retrying: ${err.message}`);
+        intervalMs *= 2;
+        continue;
+      }
+      if (!(err instanceof OAuthError)) {
+        throw err;
+      }
+      if (err.error === 'authorization_pending') {
+        continue;
+      }
+      if (err.error === 'slow_down') {
+        intervalMs += SLOW_DOWN_MS;
+        continue;
+      }
+      if (err.error === 'access_denied') {
+        throw new AccessDeniedError(err.description, { status: err.status });
+      }
+      throw err;
+    }
+  }
+}
+
+// =============================================================================
+// Loopback Redirect
+// =============================================================================
+
+/**
+ * Answer the browser tab that brought the authorization response
+ */
+function respond(res, status, message) {
+  res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(`${message}\n`);
+}
+
+/**
+ * Log in through the browser, redirected back to a local one-time server
+ *
+ * Listens on 127.0.0.1 on a port picked by the OS, so the client must be
+ * registered with a loopback redirect URI that allows any port
+ * (http://127.0.0.1/callback). Calls `onPrompt` with the authorization URL to
+ * open; the first matching callback ends the login and the server closes.
+ *
+ * @param {import('./oauth-client').InsForgeOAuthClient} client
+ * @param {Object} options
+ * @param {(prompt: { url: string }) => void|Promise<void>} options.onPrompt  Open the URL in a browser
+ * @param {string} [options.scope]        Scopes to ask for (default: the client's)
+ * @param {number} [options.timeoutMs]    Give up after this long (default 5 minutes)
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<import('./oauth-client').TokenResponse>}
+ */
+async function loopbackLogin(client, { onPrompt, scope, timeoutMs = DEFAULT_LOOPBACK_TIMEOUT_MS, signal } = {}) {
+  const server = http.createServer();
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', resolve);
+  });
+
+  let timer;
+  try {
+    const redirectUri = `http://127.0.0.1:${server.address().port}${LOOPBACK_CALLBACK_PATH}`;
+    const state = generateState();
+    const { url, codeVerifier, nonce } = await client.buildAuthorizationUrl({
+      scope,
+      redirectUri,
+      state,
+      codeVerifier: generateCodeVerifier(),
+    });
+
+    // Settled by the first request carrying this login's state
+    const callback = new Promise((resolve, reject) => {
+      server.on('request', (req, res) => {
+        const { pathname, searchParams: params } = new URL(req.url, redirectUri);
+        if (pathname !== LOOPBACK_CALLBACK_PATH || req.method !== 'GET') {
+          return respond(res, 404, 'Not found.');
+        }
+        const received = Buffer.from(params.get('state') || '');
+        if (received.length !== state.length || !crypto.timingSafeEqual(received, Buffer.from(state))) {
+          return respond(res, 400, 'This login response does not belong to the login in progress.');
+        }
+        resolve({ params, res });
+      });
+
+      timer = setTimeout(() => {
+        reject(new InvalidStateError('The login was not completed in time', { code: 'expired_transaction' }));
+      }, timeoutMs);
+      signal?.addEventListener('abort', () => reject(signal.reason), { once: true });
+    });
+    // Observed below, unless onPrompt() fails first
+    callback.catch(() => {});
+
+    await onPrompt({ url });
+    const { params, res } = await callback;
+
+    try {
+      const error = params.get('error');
+      if (error) {
+        throw error === 'access_denied'
+          ? new AccessDeniedError(params.get('error_description'))
+          : new OAuthError(error, params.get('error_description'));
+      }
+      const tokens = await client.exchangeCode({ code: params.get('code'), codeVerifier, nonce, redirectUri });
+      respond(res, 200, 'Login complete. You can close this window and return to the terminal.');
+      return tokens;
+    } catch (err) {
+      respond(res, 400, `Login failed: ${err.message}`);
+      throw err;
+    }
+  } finally {
+    clearTimeout(timer);
+    server.close();
+    server.closeAllConnections();
+  }
+}
+
+// =============================================================================
+// Credential Store
+// =============================================================================
+
+class CredentialStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.file]  Default ~/.insforge/credentials.json (written with mode 600)
+   * @param {import('./token-crypto').TokenCipher} [options.cipher]  Encrypts the tokens in the file
+   */
+  constructor({ file = path.join(os.homedir(), '.insforge', 'credentials.json'), cipher } = {}) {
+    this.file = path.resolve(file);
+    this.cipher = cipher;
+  }
+
+  /**
+   * The stored login, tokens decrypted, or null
+   */
+  async load() {
+    let record;
+    try {
+      record = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return null;
+      }
+      throw err;
+    }
+
+    const open = (token) => (token && this.cipher ? this.cipher.decrypt(token) : token);
+    return { ...record, accessToken: open(record.accessToken), refreshToken: open(record.refreshToken) };
+  }
+
+  /**
+   * Store a token response, keeping the old refresh token if the response has none
+   *
+   * @param {import('./oauth-client').TokenResponse} tokens
+   * @param {Object} [details]  Stored alongside (e.g. baseUrl, user)
+   */
+  async save(tokens, details = {}) {
+    const previous = await this.load().catch(() => null);
+    const seal = (token) => (token && this.cipher ? this.cipher.encrypt(token) : token);
+    const record = {
+      ...previous,
+      ...details,
+      accessToken: seal(tokens.access_token),
+      refreshToken: seal(tokens.refresh_token || previous?.refreshToken),
+      scope: tokens.scope || previous?.scope || null,
+      expiresAt: tokens.expires_in ? Date.now() + tokens.expires_in * 1000 : null,
+      savedAt: new Date().toISOString(),
+    };
+
+    // Write then rename, so a crash never leaves half a file
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true, mode: 0o700 });
+    const tmp = `${this.file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(record, null, 2), { mode: 0o600 });
+    await fs.promises.rename(tmp, this.file);
+  }
+
+  async clear() {
+    await fs.promises.unlink(this.file).catch((err) => {
+      if (err.code !== 'ENOENT') throw err;
+    });
+  }
+
+  /**
+   * A usable access token, refreshed (and stored) when it is about to expire
+   * Returns null when nobody is logged in or the refresh token was rejected.
+   * Other refresh failures (InsForge unavailable, a client error) are thrown
+   * and keep the stored login.
+   */
+  async getAccessToken(client, { refreshMarginMs = DEFAULT_REFRESH_MARGIN_MS } = {}) {
+    const stored = await this.load();
+    if (!stored?.accessToken) {
+      return null;
+    }
+    if (!stored.expiresAt || Date.now() < stored.expiresAt - refreshMarginMs) {
+      return stored.accessToken;
+    }
+    if (!stored.refreshToken) {
+      return null;
+    }
+
+    try {
+      const tokens = await client.refresh(stored.refreshToken);
+      await this.save(tokens);
+      return tokens.access_token;
+    } catch (err) {
+      if (err instanceof InvalidGrantError) {
+        console.error('Refresh token rejected:', err.message);
+        await this.clear();
+        return null;
+      }
+      throw err;
+    }
+  }
+}
+
+module.exports = {
+  deviceLogin,
+  loopbackLogin,
+  CredentialStore,
+};
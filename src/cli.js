@@ -0,0 +1,219 @@
+/**
+ * InsForge CLI Login
+ *
+ * Logs a terminal user in without a server at CALLBACK_URL, using the same
+ * .env as the example app:
+ *
+ *   node src/cli.js login              Device authorization: enter a code in any browser
+ *   node src/cli.js login --loopback   Browser on this machine, redirected to 127.0.0.1
+ *   node src/cli.js whoami             Profile of the stored login (refreshes the token)
+ *   node src/cli.js logout             Revoke the stored tokens and forget them
+ *
+ * Options: --scope "<scopes>" (default SCOPES), --no-browser (loopback: only print the URL),
+ * --provider <name> (one of INSFORGE_PROVIDERS, default the first).
+ * Tokens are kept in INSFORGE_CREDENTIALS_FILE (default ~/.insforge/credentials.json);
+ * other providers' next to it (credentials.<provider>.json).
+ * CLIs can't keep a secret: register a public client (INSFORGE_CLIENT_TYPE=public).
+ */
+
+require('dotenv').config();
+const path = require('path');
+const { spawn } = require('child_process');
+const { loadConfig, providerOptions, ConfigError } = require('./config');
+const { InsForgeOAuthClient } = require('./oauth-client');
+const { deviceLogin, loopbackLogin, CredentialStore } = require('./cli-auth');
+const { OAuthError, InsForgeError } = require('./errors');
+
+const USAGE = `Usage: node src/cli.js <command> [options]
+
+Commands:
+  login       Log in (device code by default)
+  whoami      Show the logged-in user
+  logout      Revoke and forget the stored tokens
+
+Options:
+  --loopback          login: use the browser on this machine (127.0.0.1 redirect)
+  --no-browser        login --loopback: print the URL instead of opening a browser
+  --scope "<scopes>"  login: scopes to ask for (default SCOPES)
+  --provider <name>   InsForge provider to use (default: the first configured)`;
+
+/**
+ * Split argv into the command and its flags
+ */
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const flags = {};
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (arg === '--loopback') flags.loopback = true;
+    else if (arg === '--no-browser') flags.browser = false;
+    else if (arg === '--scope') flags.scope = rest[++i];
+    else if (arg.startsWith('--scope=')) flags.scope = arg.slice('--scope='.length);
+    else if (arg === '--provider') flags.provider = rest[++i];
+    else if (arg.startsWith('--provider=')) flags.provider = arg.slice('--provider='.length);
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  return { command, flags };
+}
+
+/**
+ * Open a URL in the default browser (best effort)
+ */
+function openBrowser(url) {
+  const [command, args] = process.platform === 'darwin' ? ['open', [url]]
+    : process.platform === 'win32' ? ['cmd', ['/c', 'start', '', url]]
+      : ['xdg-open', [url]];
+  const child = spawn(command, args, { stdio: 'ignore', detached: true });
+  child.on('error', () => {});
+  child.unref();
+}
+
+// =============================================================================
+// Commands
+// =============================================================================
+
+async function login(client, store, { loopback, browser = true, scope }, signal) {
+  const tokens = loopback
+    ? await loopbackLogin(client, {
+      scope,
+      signal,
+      onPrompt: ({ url }) => {
+        console.log(`Open this URL to log in:\n\n  ${url}\n`);
+        if (browser) {
+          openBrowser(url);
+        }
+      },
+    })
+    : await deviceLogin(client, {
+      scope,
+      signal,
+      onPrompt: ({ userCode, verificationUri, verificationUriComplete, expiresAt }) => {
+        console.log(`Open ${verificationUri} and enter the code:\n\n  ${userCode}\n`);
+        if (verificationUriComplete) {
+          console.log(`Or open ${verificationUriComplete}`);
+        }
+        console.log(`Waiting for approval (the code expires at ${expiresAt.toLocaleTimeString()})...`);
+      },
+    });
+
+  const user = await client.getProfile(tokens.access_token)
+    .catch((err) => console.error('Failed to fetch profile:', err.message));
+  await store.save(tokens, {
+    baseUrl: client.baseUrl,
+    clientId: client.clientId,
+    user: user || (tokens.claims && { id: tokens.claims.sub, email: tokens.claims.email }) || null,
+  });
+
+  console.log(`Logged in${user?.email ? ` as ${user.email}` : ''}. Granted: ${tokens.scope || scope}`);
+  console.log(`Tokens saved to ${store.file}`);
+}
+
+async function whoami(client, store) {
+  const accessToken = await store.getAccessToken(client);
+  if (!accessToken) {
+    console.log('Not logged in. Run: node src/cli.js login');
+    return false;
+  }
+  const user = await client.getProfile(accessToken);
+  const { scope } = await store.load();
+  console.log(`${user.email || user.id} (scopes: ${scope || 'unknown'})`);
+  return true;
+}
+
+async function logout(client, store) {
+  const stored = await store.load();
+  if (!stored) {
+    console.log('Not logged in.');
+    return;
+  }
+
+  // Refresh token first: it outlives the access token
+  for (const [hint, token] of [['refresh_token', stored.refreshToken], ['access_token', stored.accessToken]]) {
+    if (token) {
+      await client.revoke(token, hint).catch((err) => console.error(`Failed to revoke ${hint}:`, err.message));
+    }
+  }
+  await store.clear();
+  console.log('Logged out.');
+}
+
+// =============================================================================
+// Main
+// =============================================================================
+
+async function main(argv) {
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (!['login', 'whoami', 'logout'].includes(args.command)) {
+    console.error(USAGE);
+    return args.command ? 2 : 0;
+  }
+
+  let config;
+  try {
+    config = loadConfig(process.env, { server: false });
+  } catch (err) {
+    if (err instanceof ConfigError) {
+      console.error(err.message);
+      return 1;
+    }
+    throw err;
+  }
+
+  const { provider: providerName, ...flags } = args.flags;
+  const provider = providerName
+    ? config.PROVIDERS.find(({ name }) => name === providerName)
+    : config.PROVIDERS[0];
+  if (!provider) {
+    console.error(`Unknown provider "${providerName}" (configured: ${config.PROVIDERS.map(({ name }) => name).join(', ')})`);
+    return 2;
+  }
+
+  const client = new InsForgeOAuthClient(providerOptions(config, provider));
+  let store = new CredentialStore(config.CREDENTIALS_FILE ? { file: config.CREDENTIALS_FILE } : {});
+  // One login per provider
+  if (provider !== config.PROVIDERS[0]) {
+    const { dir, name, ext } = path.parse(store.file);
+    store = new CredentialStore({ file: path.join(dir, `${name}.${provider.name}${ext}`) });
+  }
+
+  // Ctrl+C stops waiting for the login
+  const controller = new AbortController();
+  process.once('SIGINT', () => controller.abort());
+
+  try {
+    if (args.command === 'login') {
+      await login(client, store, { scope: provider.SCOPES, ...flags }, controller.signal);
+    } else if (args.command === 'whoami') {
+      return (await whoami(client, store)) ? 0 : 1;
+    } else {
+      await logout(client, store);
+    }
+    return 0;
+  } catch (err) {
+    if (controller.signal.aborted) {
+      console.error('Login cancelled.');
+    } else if (err instanceof OAuthError) {
+      console.error(`Login failed: ${err.description || err.error}`);
+    } else if (err instanceof InsForgeError) {
+      console.error(err.message);
+    } else {
+      console.error(err);
+    }
+    return 1;
+  }
+}
+
+main(process.argv.slice(2))
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,129 @@
+/**
+ * Client Authentication
+ *
+ * How the app authenticates to the token and revocation endpoints.
+ *
+ *   Public clients (browser-like, can't keep a secret)
+ *     none                 client_id only; PKCE protects the code exchange
+ *
+ *   Confidential clients
+ *     client_secret_basic  HTTP Basic with client_id and client_secret
+ *     client_secret_post   client_id and client_secret in the request body
+ *     private_key_jwt      A short-lived JWT signed with the app's private key
+ *                          (RFC 7523); the public key is registered at InsForge
+ */
+
+const crypto = require('crypto');
+const { signJwt } = require('./jws');
+
+const METHODS_BY_TYPE = {
+  public: ['none'],
+  confidential: ['client_secret_basic', 'client_secret_post', 'private_key_jwt'],
+};
+
+const ASSERTION_TYPE = 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer';
+
+// Lifetime of private_key_jwt assertions
+const ASSERTION_TTL_SEC = 60;
+
+class ClientAuth {
+  /**
+   * @param {Object} options
+   * @param {string} options.clientId
+   * @param {'public'|'confidential'} [options.clientType]  Default: confidential if a secret
+   *                                                        or private key is given
+   * @param {string} [options.method]        Default: none (public), private_key_jwt with a
+   *                                         private key, otherwise client_secret_post
+   * @param {string} [options.clientSecret]
+   * @param {crypto.KeyLike} [options.privateKey]  PEM or KeyObject for private_key_jwt
+   * @param {string} [options.privateKeyId]        kid of the registered public key
+   * @param {string} [options.privateKeyAlg]       Signing algorithm (default RS256)
+   */
+  constructor({
+    clientId,
+    clientType,
+    method,
+    clientSecret,
+    privateKey,
+    privateKeyId,
+    privateKeyAlg = 'RS256',
+  }) {
+    this.clientId = clientId;
+    this.clientType = clientType || (clientSecret || privateKey ? 'confidential' : 'public');
+
+    const allowed = METHODS_BY_TYPE[this.clientType];
+    if (!allowed) {
+      throw new TypeError(`Unknown client type "${this.clientType}": use "public" or "confidential"`);
+    }
+    this.method = method || (this.clientType === 'public'
+      ? 'none'
+      : privateKey ? 'private_key_jwt' : 'client_secret_post');
+
+    if (!allowed.includes(this.method)) {
+      throw new TypeError(`A ${this.clientType} client can't use "${this.method}" (use ${allowed.join(', ')})`);
+    }
+    if (this.clientType === 'public' && clientSecret) {
+      throw new TypeError('Public clients must not be given a client secret');
+    }
+    if (this.method.startsWith('client_secret_') && !clientSecret) {
+      throw new TypeError(`${this.method} needs a client secret`);
+    }
+    if (this.method === 'private_key_jwt' && !privateKey) {
+      throw new TypeError('private_key_jwt needs a private key');
+    }
+
+    this.clientSecret = clientSecret;
+    this.privateKey = privateKey && crypto.createPrivateKey(privateKey);
+    this.privateKeyId = privateKeyId;
+    this.privateKeyAlg = privateKeyAlg;
+  }
+
+  /**
+   * Credentials for one request
+   *
+   * @param {string} audience  Token endpoint URL (the private_key_jwt audience)
+   * @returns {{ headers: Object, params: Object }}  Merge into the request headers and body
+   */
+  apply(audience) {
+    switch (this.method) {
+      case 'client_secret_basic': {
+        // RFC 6749 2.3.1: both parts are form-encoded before base64
+        const credentials = `${encodeURIComponent(this.clientId)}:${encodeURIComponent(this.clientSecret)}`;
+        return {
+          headers: { 'Authorization': `Basic ${Buffer.from(credentials).toString('base64')}` },
+          params: {},
+        };
+      }
+
+      case 'client_secret_post':
+        return {
+          headers: {},
+          params: { client_id: this.clientId, client_secret: this.clientSecret },
+        };
+
+      case 'private_key_jwt': {
+        const now = Math.floor(Date.now() / 1000);
+        const assertion = signJwt({
+          iss: this.clientId,
+          sub: this.clientId,
+          aud: audience,
+          jti: crypto.randomUUID(),
+          iat: now,
+          exp: now + ASSERTION_TTL_SEC,
+        }, { key: this.privateKey, alg: this.privateKeyAlg, kid: this.privateKeyId });
+
+        return {
+          headers: {},
+          params: { client_id: this.clientId, client_assertion_type: ASSERTION_TYPE, client_assertion: assertion },
+        };
+      }
+
+      default:
+        return { headers: {}, params: { client_id: this.clientId } };
+    }
+  }
+}
+
+module.exports = {
+  ClientAuth,
+};
@@ -0,0 +1,649 @@
+/**
+ * Configuration
+ *
+ * Reads the example server's settings from the environment and checks them
+ * before anything starts:
+ *
+ *   const { loadConfig } = require('./config');
+ *   const config = loadConfig(process.env, { callbackPath: '/auth/callback' });
+ *
+ * Every problem is collected and reported together in one ConfigError, so a
+ * bad .env can be fixed in a single pass. checkInsForge() is the optional
+ * `--check` probe of INSFORGE_URL.
+ *
+ * Several InsForge providers (instances or clients, see providers.js) come
+ * from INSFORGE_PROVIDERS_FILE and/or INSFORGE_PROVIDERS=staging,production,
+ * whose settings are the provider settings below prefixed with the name:
+ * STAGING_INSFORGE_URL, STAGING_INSFORGE_CLIENT_ID... Without either, the
+ * unprefixed settings are the one provider.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { ClientAuth } = require('./client-auth');
+const { getAlgorithm } = require('./jws');
+const { discoverMetadata } = require('./oidc');
+const { TokenCipher } = require('./token-crypto');
+const { DEFAULT_PROVIDER, PROVIDER_NAME_PATTERN, providerEnvPrefix, readProvidersFile } = require('./providers');
+
+const DEFAULT_SCOPES = 'user:read organizations:read projects:read';
+const DEFAULT_OPTIONAL_SCOPES = 'projects:write';
+const DEFAULT_SERVICE_SCOPES = 'organizations:read projects:read';
+
+// Values copied from .env.example or docs without being filled in
+const PLACEHOLDER_PATTERN = /^(your[_-].*|.*[_-]here|change[_-]?me|replace[_-]?me|todo|x{3,})$/i;
+
+// Scope tokens (RFC 6749 3.3): printable ASCII except space, quote and backslash
+const SCOPE_TOKEN_PATTERN = /^[\x21\x23-\x5B\x5D-\x7E]+$/;
+
+class ConfigError extends Error {
+  /**
+   * @param {string[]} problems  One line per invalid setting
+   */
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// =============================================================================
+// Schema
+// =============================================================================
+
+/**
+ * Parsers for each setting type
+ * Each returns the parsed value or throws an Error whose message completes
+ * "<ENV_NAME> ...".
+ */
+const TYPES = {
+  string: (value) => value,
+
+  url: (value) => {
+    let url;
+    try {
+      url = new URL(value);
+    } catch {
+      throw new Error(`is not a valid URL ("${value}")`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new Error(`must be an http(s) URL ("${value}")`);
+    }
+    return value;
+  },
+
+  integer: (value, { min = 0 }) => {
+    if (!/^\d+$/.test(value) || Number(value) < min) {
+      throw new Error(`must be a whole number${min > 0 ? ` of at least ${min}` : ''} ("${value}")`);
+    }
+    return Number(value);
+  },
+
+  boolean: (value) => {
+    if (value !== 'true' && value !== 'false') {
+      throw new Error(`must be "true" or "false" ("${value}")`);
+    }
+    return value === 'true';
+  },
+
+  enum: (value, { values }) => {
+    if (!values.includes(value)) {
+      throw new Error(`must be one of ${values.join(', ')} ("${value}")`);
+    }
+    return value;
+  },
+
+  list: (value, { item = 'string' }) => value
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => TYPES[item](entry, {})),
+
+  providerName: (value) => {
+    if (!PROVIDER_NAME_PATTERN.test(value)) {
+      throw new Error(`has an invalid provider name "${value}" (lowercase letters, digits and dashes)`);
+    }
+    return value;
+  },
+
+  scopes: (value) => {
+    const scopes = value.split(/\s+/).filter(Boolean);
+    const invalid = scopes.find((scope) => !SCOPE_TOKEN_PATTERN.test(scope));
+    if (invalid) {
+      throw new Error(`has an invalid scope "${invalid}" (separate scopes with spaces)`);
+    }
+    return scopes.join(' ');
+  },
+
+  // TRUST_PROXY: "true", a hop count, or an Express trust list (e.g. "loopback")
+  trustProxy: (value) => {
+    if (value === 'false') return false;
+    if (value === 'true') return true;
+    if (/^\d+$/.test(value)) return Number(value);
+    return value;
+  },
+};
+
+/**
+ * Every setting: config key → { env, type, default, required, ... }
+ * `env` may list several variable names; the first one set wins.
+ * `provider: true` settings are per provider (prefixed when there are several).
+ */
+const SCHEMA = {
+  // Several providers: a JSON/YAML file of them, and/or names whose settings are prefixed
+  PROVIDERS_FILE: { env: 'INSFORGE_PROVIDERS_FILE', type: 'string' },
+  PROVIDER_NAMES: { env: 'INSFORGE_PROVIDERS', type: 'list', item: 'providerName', default: [] },
+
+  // Shown on the login buttons (default: the provider name)
+  PROVIDER_LABEL: { env: 'INSFORGE_LABEL', type: 'string', provider: true },
+
+  // Your InsForge OAuth credentials (get these from InsForge dashboard)
+  INSFORGE_CLIENT_ID: { env: 'INSFORGE_CLIENT_ID', type: 'string', required: true, provider: true },
+  // Required for confidential clients using client_secret_basic/post (checked below)
+  INSFORGE_CLIENT_SECRET: { env: 'INSFORGE_CLIENT_SECRET', type: 'string', provider: true },
+
+  // "public" (PKCE only, no secret) or "confidential"
+  CLIENT_TYPE: {
+    env: 'INSFORGE_CLIENT_TYPE',
+    type: 'enum',
+    values: ['public', 'confidential'],
+    default: 'confidential',
+    provider: true,
+  },
+
+  // Confidential clients: client_secret_basic, client_secret_post or private_key_jwt
+  // (default: private_key_jwt with a key file, otherwise client_secret_post)
+  TOKEN_AUTH_METHOD: {
+    env: 'INSFORGE_TOKEN_AUTH_METHOD',
+    type: 'enum',
+    values: ['none', 'client_secret_basic', 'client_secret_post', 'private_key_jwt'],
+    provider: true,
+  },
+
+  // private_key_jwt: PEM private key file, key id and algorithm
+  PRIVATE_KEY_FILE: { env: 'INSFORGE_PRIVATE_KEY_FILE', type: 'string', provider: true },
+  PRIVATE_KEY_ID: { env: 'INSFORGE_PRIVATE_KEY_ID', type: 'string', provider: true },
+  PRIVATE_KEY_ALG: { env: 'INSFORGE_PRIVATE_KEY_ALG', type: 'string', provider: true },
+
+  // InsForge URLs
+  INSFORGE_URL: { env: 'INSFORGE_URL', type: 'url', default: 'http://localhost:3000', provider: true },
+
+  // Your app's callback URL (must match registered redirect_uri)
+  CALLBACK_URL: { env: 'CALLBACK_URL', type: 'url', default: 'http://localhost:4000/auth/callback' },
+
+  // Use OpenID Connect: discovery, id_token validation and nonce
+  OIDC_ENABLED: { env: 'INSFORGE_OIDC', type: 'boolean', default: false, provider: true },
+
+  // OIDC issuer (defaults to INSFORGE_URL)
+  OIDC_ISSUER: { env: 'INSFORGE_ISSUER', type: 'url', provider: true },
+
+  // Scopes to request, space separated (user:read for profile, others for org/project access)
+  SCOPES: { env: 'SCOPES', type: 'scopes', default: DEFAULT_SCOPES, provider: true },
+
+  // Scopes asked for only when a feature needs them (incremental authorization)
+  OPTIONAL_SCOPES: { env: 'OPTIONAL_SCOPES', type: 'scopes', default: DEFAULT_OPTIONAL_SCOPES, provider: true },
+
+  // Optional: InsForge end-session endpoint to visit after local logout
+  END_SESSION_URL: { env: 'INSFORGE_END_SESSION_URL', type: 'url', provider: true },
+
+  // Where users land after signing out
+  POST_LOGOUT_REDIRECT_URL: {
+    env: 'POST_LOGOUT_REDIRECT_URL',
+    type: 'url',
+    default: 'http://localhost:4000/signed-out',
+  },
+
+  // Other origins that /auth/login?returnTo= may send users to (comma-separated)
+  RETURN_TO_ALLOWLIST: { env: 'RETURN_TO_ALLOWLIST', type: 'list', item: 'url', default: [] },
+
+  // Refresh the access token this long before it expires
+  TOKEN_REFRESH_MARGIN_MS: { env: 'TOKEN_REFRESH_MARGIN_MS', type: 'integer', default: 60 * 1000 },
+
+  // Max InsForge requests in flight while loading the dashboard
+  DASHBOARD_CONCURRENCY: { env: 'DASHBOARD_CONCURRENCY', type: 'integer', min: 1, default: 4 },
+
+  // Timeout for each InsForge API request
+  UPSTREAM_TIMEOUT_MS: { env: 'UPSTREAM_TIMEOUT_MS', type: 'integer', min: 1, default: 5000 },
+
+  // How long cached organization/project data is fresh
+  CACHE_TTL_MS: { env: 'CACHE_TTL_MS', type: 'integer', min: 1, default: 60 * 1000 },
+
+  // Session signing secrets (comma separated). The first signs new cookies,
+  // all of them verify, so a secret can be rotated without logging users out.
+  SESSION_SECRETS: { env: ['SESSION_SECRETS', 'SESSION_SECRET'], type: 'list', default: [] },
+
+  // Where sessions are kept: 'file' (shared directory) or 'memory' (development only)
+  SESSION_STORE: { env: 'SESSION_STORE', type: 'enum', values: ['file', 'memory'], default: 'file' },
+  SESSION_DIR: { env: 'SESSION_DIR', type: 'string', default: '.sessions' },
+  SESSION_MAX_AGE_MS: {
+    env: 'SESSION_MAX_AGE_MS',
+    type: 'integer',
+    min: 1,
+    default: 24 * 60 * 60 * 1000,
+  },
+
+  // Session cookie flags (secure defaults to true when CALLBACK_URL is https)
+  COOKIE_SECURE: { env: 'COOKIE_SECURE', type: 'boolean' },
+  COOKIE_SAME_SITE: {
+    env: 'COOKIE_SAME_SITE',
+    type: 'enum',
+    values: ['lax', 'none'], // 'strict' breaks the OAuth callback
+    default: 'lax',
+  },
+  COOKIE_HTTP_ONLY: { env: 'COOKIE_HTTP_ONLY', type: 'boolean', default: true },
+
+  // Keys for encrypting OAuth tokens in the session ("keyId:base64Key", comma
+  // separated). The first encrypts, all decrypt, so keys can be rotated.
+  TOKEN_ENCRYPTION_KEYS: { env: 'TOKEN_ENCRYPTION_KEYS', type: 'string' },
+
+  // Set when running behind a TLS-terminating proxy (e.g. "1" or "loopback")
+  TRUST_PROXY: { env: 'TRUST_PROXY', type: 'trustProxy', default: false },
+
+  // Server port
+  PORT: { env: 'PORT', type: 'integer', min: 1, default: 4000 },
+
+  // Where `node src/cli.js login` keeps its tokens (default ~/.insforge/credentials.json)
+  CREDENTIALS_FILE: { env: 'INSFORGE_CREDENTIALS_FILE', type: 'string' },
+
+  // Scopes backend jobs ask for with the client credentials grant
+  SERVICE_SCOPES: { env: 'SERVICE_SCOPES', type: 'scopes', default: DEFAULT_SERVICE_SCOPES, provider: true },
+};
+
+// Per-provider settings, and everything else
+const PROVIDER_SPECS = Object.entries(SCHEMA).filter(([, spec]) => spec.provider);
+const SHARED_SPECS = Object.entries(SCHEMA).filter(([, spec]) => !spec.provider);
+
+function readSetting(env, spec) {
+  const names = [].concat(spec.env);
+  const name = names.find((candidate) => env[candidate] !== undefined && env[candidate].trim() !== '');
+  return name ? { name, value: env[name].trim() } : { name: names[0], value: undefined };
+}
+
+function isPlaceholder(value) {
+  return [].concat(value).some((entry) => typeof entry === 'string' && PLACEHOLDER_PATTERN.test(entry));
+}
+
+/**
+ * Parse settings, reporting problems under the name each one was read from
+ *
+ * @param {[string, Object][]} specs  SCHEMA entries
+ * @param {(spec: Object) => { name: string, value: string|undefined }} read
+ * @param {string[]} problems         Collects what is wrong
+ * @returns {{ values: Object, invalid: Set<string> }} invalid: keys of unusable settings
+ */
+function readSettings(specs, read, problems) {
+  const values = {};
+  const invalid = new Set();
+
+  for (const [key, spec] of specs) {
+    const { name, value } = read(spec);
+
+    if (value === undefined) {
+      if (spec.required) {
+        problems.push(`${name} is required`);
+        invalid.add(key);
+      }
+      values[key] = spec.default;
+      continue;
+    }
+    try {
+      values[key] = TYPES[spec.type](value, spec);
+    } catch (err) {
+      problems.push(`${name} ${err.message}`);
+      invalid.add(key);
+      continue;
+    }
+    if (isPlaceholder(values[key])) {
+      problems.push(`${name} still has the placeholder value "${value}"`);
+      invalid.add(key);
+    }
+  }
+  return { values, invalid };
+}
+
+// =============================================================================
+// Providers
+// =============================================================================
+
+/**
+ * Where each provider's settings come from
+ *
+ * Named providers read <PREFIX>_<SETTING> from the environment first, then
+ * the providers file, so secrets can stay out of the file. Without names,
+ * the unprefixed settings are the one provider.
+ *
+ * @returns {{ name: string, prefix: string, read: Function }[]} In file order, then INSFORGE_PROVIDERS order
+ */
+function providerSources(env, config, problems) {
+  let fromFile = {};
+  if (config.PROVIDERS_FILE) {
+    try {
+      fromFile = readProvidersFile(config.PROVIDERS_FILE);
+    } catch (err) {
+      problems.push(`INSFORGE_PROVIDERS_FILE ${err.message}`);
+      return [];
+    }
+  }
+
+  const names = [...new Set([...Object.keys(fromFile), ...(config.PROVIDER_NAMES || [])])];
+  if (names.length === 0) {
+    return [{ name: DEFAULT_PROVIDER, prefix: '', read: (spec) => readSetting(env, spec) }];
+  }
+
+  const known = new Set(PROVIDER_SPECS.flatMap(([, spec]) => [].concat(spec.env)));
+  return names.map((name) => {
+    const prefix = providerEnvPrefix(name);
+    const fileSettings = fromFile[name] || {};
+
+    const unknown = Object.keys(fileSettings).filter((key) => !known.has(key));
+    if (unknown.length > 0) {
+      problems.push(`INSFORGE_PROVIDERS_FILE provider "${name}" has unknown settings: ${unknown.join(', ')}`);
+    }
+
+    const read = (spec) => {
+      const fromEnv = readSetting(env, { env: [].concat(spec.env).map((envName) => `${prefix}${envName}`) });
+      const fileKey = [].concat(spec.env).find((envName) => fileSettings[envName] != null);
+      if (fromEnv.value !== undefined || !fileKey) {
+        return fromEnv;
+      }
+      // YAML and JSON have numbers, booleans and lists; settings are parsed from strings
+      const value = fileSettings[fileKey];
+      const text = (Array.isArray(value) ? value.join(' ') : String(value)).trim();
+      return text ? { name: `${name}.${fileKey} in ${config.PROVIDERS_FILE}`, value: text } : fromEnv;
+    };
+    return { name, prefix, read };
+  });
+}
+
+/**
+ * Read and check one provider's settings
+ *
+ * Problems name the provider's own variables (STAGING_INSFORGE_CLIENT_ID).
+ *
+ * @returns {Object} Its settings keyed as in SCHEMA, plus `name` and PRIVATE_KEY
+ */
+function loadProvider({ name, prefix, read }, problems, warnings) {
+  const { values: provider, invalid } = readSettings(PROVIDER_SPECS, read, problems);
+  const envName = (key) => `${prefix}${[].concat(SCHEMA[key].env)[0]}`;
+
+  provider.name = name;
+  if (!provider.PROVIDER_LABEL) {
+    provider.PROVIDER_LABEL = name === DEFAULT_PROVIDER ? 'InsForge' : name;
+  }
+
+  // --- Client credentials ---------------------------------------------------
+
+  if (provider.PRIVATE_KEY_FILE) {
+    try {
+      provider.PRIVATE_KEY = fs.readFileSync(provider.PRIVATE_KEY_FILE, 'utf8');
+    } catch (err) {
+      problems.push(`${envName('PRIVATE_KEY_FILE')} can't be read (${err.code || err.message})`);
+    }
+  }
+  if (provider.PRIVATE_KEY_ALG && !getAlgorithm(provider.PRIVATE_KEY_ALG)) {
+    problems.push(`${envName('PRIVATE_KEY_ALG')} "${provider.PRIVATE_KEY_ALG}" is not a supported signing algorithm`);
+    invalid.add('PRIVATE_KEY_ALG');
+  }
+
+  // Public clients have no secret, so one left in the environment is ignored
+  if (provider.CLIENT_TYPE === 'public') {
+    provider.INSFORGE_CLIENT_SECRET = undefined;
+  }
+
+  // Same checks the OAuth client runs, reported here with the settings' names
+  const clientKeys = ['INSFORGE_CLIENT_ID', 'INSFORGE_CLIENT_SECRET', 'CLIENT_TYPE', 'TOKEN_AUTH_METHOD', 'PRIVATE_KEY_ALG'];
+  if (!clientKeys.some((key) => invalid.has(key)) && (!provider.PRIVATE_KEY_FILE || provider.PRIVATE_KEY)) {
+    try {
+      new ClientAuth({
+        clientId: provider.INSFORGE_CLIENT_ID,
+        clientType: provider.CLIENT_TYPE,
+        method: provider.TOKEN_AUTH_METHOD,
+        clientSecret: provider.INSFORGE_CLIENT_SECRET,
+        privateKey: provider.PRIVATE_KEY,
+        privateKeyId: provider.PRIVATE_KEY_ID,
+        privateKeyAlg: provider.PRIVATE_KEY_ALG,
+      });
+    } catch (err) {
+      if (err instanceof TypeError && /needs a client secret/.test(err.message)) {
+        problems.push(`${envName('INSFORGE_CLIENT_SECRET')} is required for `
+          + `${provider.TOKEN_AUTH_METHOD || 'client_secret_post'} (or set ${envName('CLIENT_TYPE')}=public, `
+          + `or use ${envName('PRIVATE_KEY_FILE')})`);
+      } else if (err instanceof TypeError) {
+        problems.push(`${envName('CLIENT_TYPE')} / ${envName('TOKEN_AUTH_METHOD')}: ${err.message}`);
+      } else {
+        problems.push(`${envName('PRIVATE_KEY_FILE')} is not a valid private key (${err.message})`);
+      }
+    }
+  }
+
+  // --- Scopes -----------------------------------------------------------------
+
+  if (!invalid.has('SCOPES') && !provider.SCOPES) {
+    problems.push(`${envName('SCOPES')} must list at least one scope`);
+  } else if (provider.SCOPES && !provider.SCOPES.split(' ').includes('user:read')) {
+    warnings.push(`${envName('SCOPES')} does not include user:read: the profile will not load after login`);
+  }
+
+  return provider;
+}
+
+/**
+ * insforgeAuth() options for one provider from loadConfig()
+ * (also accepted by InsForgeOAuthClient, which ignores the rest)
+ *
+ * @param {Object} config
+ * @param {Object} [provider]  One of config.PROVIDERS (default: the first)
+ */
+function providerOptions(config, provider = config.PROVIDERS[0]) {
+  return {
+    name: provider.name,
+    label: provider.PROVIDER_LABEL,
+    baseUrl: provider.INSFORGE_URL,
+    clientId: provider.INSFORGE_CLIENT_ID,
+    clientType: provider.CLIENT_TYPE,
+    tokenEndpointAuthMethod: provider.TOKEN_AUTH_METHOD,
+    clientSecret: provider.INSFORGE_CLIENT_SECRET,
+    privateKey: provider.PRIVATE_KEY,
+    privateKeyId: provider.PRIVATE_KEY_ID,
+    privateKeyAlg: provider.PRIVATE_KEY_ALG,
+    redirectUri: config.CALLBACK_URL,
+    scopes: provider.SCOPES,
+    optionalScopes: provider.OPTIONAL_SCOPES,
+    oidc: provider.OIDC_ENABLED,
+    issuer: provider.OIDC_ISSUER,
+    endSessionUrl: provider.END_SESSION_URL,
+  };
+}
+
+// =============================================================================
+// Loading
+// =============================================================================
+
+/**
+ * Read and validate the configuration
+ *
+ * @param {Object} [env]              Defaults to process.env
+ * @param {Object} [options]
+ * @param {string} [options.callbackPath]  Path this server handles the OAuth callback on;
+ *                                         CALLBACK_URL must point at it
+ * @param {boolean} [options.server]       Check the session and cookie settings (default true;
+ *                                         false for the CLI, which has neither)
+ * @returns {Object} Settings keyed as in SCHEMA, plus PROVIDERS: each provider's settings
+ *   (see loadProvider()). The first provider is the default; its settings are also at the top level.
+ * @throws {ConfigError} listing every invalid or missing setting
+ */
+function loadConfig(env = process.env, { callbackPath, server = true } = {}) {
+  const problems = [];
+  const warnings = [];
+  const { values: config, invalid } = readSettings(SHARED_SPECS, (spec) => readSetting(env, spec), problems);
+
+  const production = env.NODE_ENV === 'production';
+
+  // --- Providers --------------------------------------------------------------
+
+  config.PROVIDERS = providerSources(env, config, problems)
+    .map((source) => loadProvider(source, problems, warnings));
+  if (config.PROVIDERS.length > 0) {
+    const { name, ...defaultProvider } = config.PROVIDERS[0];
+    Object.assign(config, defaultProvider);
+  }
+
+  // --- Callback URL -----------------------------------------------------------
+
+  // The redirect_uri must land on this server, or every login fails at the callback
+  if (!invalid.has('CALLBACK_URL') && callbackPath) {
+    const callback = new URL(config.CALLBACK_URL);
+    if (callback.pathname !== callbackPath) {
+      problems.push(`CALLBACK_URL path is "${callback.pathname}", but the callback is served at "${callbackPath}"`);
+    }
+    // Behind a proxy the public port differs from the one the server listens on
+    const port = Number(callback.port) || (callback.protocol === 'https:' ? 443 : 80);
+    if (!config.TRUST_PROXY && !invalid.has('PORT') && port !== config.PORT) {
+      problems.push(`CALLBACK_URL uses port ${port}, but the server listens on PORT ${config.PORT} `
+        + '(set TRUST_PROXY when a proxy forwards to this port)');
+    }
+  }
+
+  // --- Sessions and cookies ---------------------------------------------------
+
+  if (server) {
+    if (config.COOKIE_SECURE === undefined) {
+      config.COOKIE_SECURE = String(config.CALLBACK_URL).startsWith('https:');
+    }
+    if (config.COOKIE_SAME_SITE === 'none' && !config.COOKIE_SECURE) {
+      problems.push('COOKIE_SAME_SITE=none needs COOKIE_SECURE=true (browsers drop the cookie otherwise)');
+    }
+
+    if (!invalid.has('SESSION_SECRETS') && config.SESSION_SECRETS.length === 0) {
+      if (production) {
+        problems.push('SESSION_SECRETS must be set in production');
+      } else {
+        warnings.push('SESSION_SECRETS is not set: using a random secret, sessions will not survive a restart');
+        config.SESSION_SECRETS = [crypto.randomBytes(32).toString('hex')];
+      }
+    }
+
+    if (invalid.has('TOKEN_ENCRYPTION_KEYS')) {
+      // Already reported
+    } else if (config.TOKEN_ENCRYPTION_KEYS) {
+      try {
+        TokenCipher.fromString(config.TOKEN_ENCRYPTION_KEYS);
+      } catch (err) {
+        problems.push(`TOKEN_ENCRYPTION_KEYS is invalid: ${err.message}`);
+      }
+    } else if (production) {
+      problems.push('TOKEN_ENCRYPTION_KEYS must be set in production');
+    } else {
+      warnings.push('TOKEN_ENCRYPTION_KEYS is not set: using a random key, stored tokens will not survive a restart');
+      config.TOKEN_ENCRYPTION_KEYS = TokenCipher.generateKey('dev');
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+  // Only worth reading once the configuration is usable
+  warnings.forEach((warning) => console.warn(warning));
+  return config;
+}
+
+// =============================================================================
+// InsForge Check
+// =============================================================================
+
+/**
+ * Probe each provider's INSFORGE_URL: is it reachable, and does its metadata
+ * fit this config?
+ *
+ * Prints one line per check.
+ *
+ * @param {Object} config  From loadConfig()
+ * @param {Object} [options]
+ * @param {typeof fetch} [options.fetch]
+ * @param {number} [options.timeoutMs]  Per request (default UPSTREAM_TIMEOUT_MS)
+ * @returns {Promise<boolean>} false if any check failed
+ */
+async function checkInsForge(config, { fetch = globalThis.fetch, timeoutMs = config.UPSTREAM_TIMEOUT_MS } = {}) {
+  let ok = true;
+  for (const provider of config.PROVIDERS) {
+    ok = (await checkProvider(provider, { fetch, timeoutMs })) && ok;
+  }
+  return ok;
+}
+
+/**
+ * The checks for one provider (see checkInsForge())
+ */
+async function checkProvider(provider, { fetch, timeoutMs }) {
+  const fetchWithTimeout = (url, init = {}) => fetch(url, { ...init, signal: AbortSignal.timeout(timeoutMs) });
+  let ok = true;
+  const pass = (message) => console.log(`  ok    ${message}`);
+  const warn = (message) => console.log(`  warn  ${message}`);
+  const fail = (message) => {
+    ok = false;
+    console.log(`  FAIL  ${message}`);
+  };
+
+  console.log(`Checking ${provider.PROVIDER_LABEL} at ${provider.INSFORGE_URL}`);
+
+  // Any HTTP response means the server is up
+  try {
+    const response = await fetchWithTimeout(provider.INSFORGE_URL);
+    pass(`reachable (status ${response.status})`);
+  } catch (err) {
+    fail(`unreachable: ${err.cause?.code || err.message}`);
+    return ok;
+  }
+
+  const issuer = provider.OIDC_ISSUER || provider.INSFORGE_URL;
+  let metadata = null;
+  try {
+    metadata = await discoverMetadata(issuer, { fetch: fetchWithTimeout });
+    pass(`OpenID metadata found for issuer ${metadata.issuer}`);
+  } catch (err) {
+    // Without OIDC the built-in endpoints are used, so missing metadata is fine
+    (provider.OIDC_ENABLED ? fail : warn)(`no OpenID metadata: ${err.message}`);
+  }
+
+  if (metadata) {
+    const clientAuth = new ClientAuth({
+      clientId: provider.INSFORGE_CLIENT_ID,
+      clientType: provider.CLIENT_TYPE,
+      method: provider.TOKEN_AUTH_METHOD,
+      clientSecret: provider.INSFORGE_CLIENT_SECRET,
+      privateKey: provider.PRIVATE_KEY,
+      privateKeyId: provider.PRIVATE_KEY_ID,
+      privateKeyAlg: provider.PRIVATE_KEY_ALG,
+    });
+    const supported = (field, value, name) => {
+      if (!Array.isArray(metadata[field])) return;
+      if (metadata[field].includes(value)) {
+        pass(`${name} "${value}" is supported`);
+      } else {
+        fail(`${name} "${value}" is not supported (InsForge offers ${metadata[field].join(', ')})`);
+      }
+    };
+    supported('token_endpoint_auth_methods_supported', clientAuth.method, 'client authentication');
+    supported('code_challenge_methods_supported', 'S256', 'PKCE method');
+
+    if (Array.isArray(metadata.scopes_supported)) {
+      const unknown = `${provider.SCOPES} ${provider.OPTIONAL_SCOPES}`.split(' ')
+        .filter((scope) => scope && !metadata.scopes_supported.includes(scope));
+      if (unknown.length > 0) {
+        warn(`scopes not advertised by InsForge: ${unknown.join(', ')}`);
+      } else {
+        pass('all requested scopes are advertised');
+      }
+    }
+  }
+
+  return ok;
+}
+
+module.exports = {
+  ConfigError,
+  SCHEMA,
+  loadConfig,
+  providerOptions,
+  checkInsForge,
+};
@@ -0,0 +1,58 @@
+/**
+ * CSRF Protection
+ *
+ * Synchronizer tokens: each session gets one random token. Pages put it in
+ * their forms (a hidden `_csrf` field) and in <meta name="csrf-token"> for
+ * fetch() calls, which send it as X-CSRF-Token. Every POST, PUT, PATCH and
+ * DELETE must carry it; a cross-site form or script can't read it.
+ *
+ *   app.use(csrfProtection());   // after the session and body parsers
+ *   res.send(page({ csrfToken: csrfToken(req) }));
+ */
+
+const crypto = require('crypto');
+const { httpError } = require('./error-handler');
+
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+/**
+ * The session's token, created on first use
+ *
+ * Only call this for pages that need it: storing the token saves the session.
+ */
+function csrfToken(req) {
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = crypto.randomBytes(32).toString('base64url');
+  }
+  return req.session.csrfToken;
+}
+
+function tokensMatch(sent, expected) {
+  if (typeof sent !== 'string' || typeof expected !== 'string') {
+    return false;
+  }
+  const a = Buffer.from(sent);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Reject state-changing requests without the session's token
+ */
+function csrfProtection() {
+  return (req, res, next) => {
+    if (SAFE_METHODS.has(req.method)) {
+      return next();
+    }
+    const sent = req.get('x-csrf-token') || req.body?._csrf;
+    if (!tokensMatch(sent, req.session?.csrfToken)) {
+      return next(httpError(403, 'Missing or invalid CSRF token.', 'invalid_csrf_token'));
+    }
+    next();
+  };
+}
+
+module.exports = {
+  csrfToken,
+  csrfProtection,
+};
@@ -0,0 +1,127 @@
+/**
+ * Dashboard Data Loading
+ *
+ * Loads organizations and their projects in parallel, with a cap on
+ * concurrent requests and a timeout per request. A failed organization is
+ * reported on that item instead of failing the whole page.
+ *
+ * Project API keys are not loaded here: they are secrets, fetched one at a
+ * time when the user reveals them.
+ */
+
+const { SessionExpiredError, UpstreamError } = require('./errors');
+
+/**
+ * @typedef {import('./api-client').Organization & {
+ *   projects: import('./api-client').Project[],
+ *   projectsError: string | null,
+ * }} DashboardOrganization
+ *
+ * @typedef {Object} Dashboard
+ * @property {DashboardOrganization[]} organizations
+ * @property {string | null} error   Set if the organizations themselves failed to load
+ */
+
+/**
+ * Create a limiter that runs at most `concurrency` tasks at once
+ */
+function createLimiter(concurrency) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) {
+      return;
+    }
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    task().then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+
+/**
+ * Load everything the home page shows
+ *
+ * @param {import('./api-client').InsForgeApiClient} api
+ * @param {Object} [options]
+ * @param {number} [options.concurrency]  Max requests in flight (default 4)
+ * @param {number} [options.timeoutMs]    Per-request timeout (default 5000)
+ * @param {boolean} [options.projects]    Load each organization's projects (default true;
+ *                                        false without the projects:read scope)
+ * @returns {Promise<Dashboard>}
+ * @throws {SessionExpiredError} if the user was logged out while loading
+ */
+async function loadDashboard(api, { concurrency = 4, timeoutMs = 5000, projects: withProjects = true } = {}) {
+  const limit = createLimiter(concurrency);
+  const started = Date.now();
+
+  /**
+   * Run one API call through the limiter, aborting it after timeoutMs
+   */
+  const call = (label, fn) => limit(async () => {
+    const controller = new AbortController();
+    const timer = setTimeout(
+      () => controller.abort(new UpstreamError(`${label} timed out after ${timeoutMs}ms`)),
+      timeoutMs
+    );
+    const callStarted = Date.now();
+
+    try {
+      return await fn(controller.signal);
+    } finally {
+      clearTimeout(timer);
+      console.log(`[dashboard] ${label}: ${Date.now() - callStarted}ms`);
+    }
+  });
+
+  /**
+   * Turn an error into a message for the page, rethrowing a lost session
+   */
+  const describe = (err) => {
+    if (err instanceof SessionExpiredError) {
+      throw err;
+    }
+    console.error('[dashboard]', err.message);
+    return err.message;
+  };
+
+  let organizations;
+  try {
+    organizations = await call('organizations', (signal) => api.listOrganizations({ signal }));
+  } catch (err) {
+    return { organizations: [], error: describe(err) };
+  }
+
+  const loadOrganization = async (org) => {
+    if (!withProjects) {
+      return { ...org, projects: [], projectsError: null };
+    }
+    try {
+      const projects = await call(`projects ${org.id}`, (signal) => api.listProjects(org.id, { signal }));
+      return { ...org, projects, projectsError: null };
+    } catch (err) {
+      return { ...org, projects: [], projectsError: describe(err) };
+    }
+  };
+
+  const dashboard = {
+    organizations: await Promise.all(organizations.map(loadOrganization)),
+    error: null,
+  };
+
+  console.log(`[dashboard] loaded ${organizations.length} organizations in ${Date.now() - started}ms`);
+  return dashboard;
+}
+
+module.exports = {
+  createLimiter,
+  loadDashboard,
+};
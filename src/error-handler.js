@@ -0,0 +1,313 @@
+/**
+ * Error Handling
+ *
+ * Maps every error to one entry of a small taxonomy (user denied, state
+ * mismatch, expired login, upstream unavailable, ...) with its HTTP status,
+ * and renders it the way the request expects:
+ *
+ *   app.use(requestId());      // first: gives each request a correlation ID
+ *   ...routes...
+ *   app.use(notFound());
+ *   app.use(errorHandler());   // last: JSON for /api/*, an error page otherwise
+ *
+ * The correlation ID is sent as X-Request-Id, shown on error pages and
+ * logged with the error, so a user's report can be matched to the log line.
+ */
+
+const crypto = require('crypto');
+const {
+  OAuthError,
+  AccessDeniedError,
+  InvalidGrantError,
+  UpstreamError,
+  InsForgeApiError,
+  IdTokenError,
+  SessionExpiredError,
+  InsufficientScopeError,
+  InvalidStateError,
+} = require('./errors');
+const { loginUrl } = require('./return-to');
+const { errorPage, popupCompletePage } = require('./views');
+
+// Accepted from a proxy's X-Request-Id; anything else gets a fresh ID
+const REQUEST_ID_PATTERN = /^[\w.:-]{8,128}$/;
+
+/**
+ * The taxonomy: error code → status, what the user is told, how to retry
+ *
+ * retry: 'login' starts a new login, 'reload' repeats the request,
+ * null offers only a link home. `expose` shows the error's own message.
+ */
+const ERROR_TYPES = {
+  access_denied: {
+    status: 403,
+    title: 'Access Not Granted',
+    message: 'You declined to give this app access to your InsForge account.',
+    retry: 'login',
+  },
+  invalid_state: {
+    status: 400,
+    title: 'Login Could Not Be Verified',
+    message: 'This login response does not belong to a login started in this browser.',
+    retry: 'login',
+  },
+  expired_transaction: {
+    status: 400,
+    title: 'Login Expired',
+    message: 'This login took too long or was already completed.',
+    retry: 'login',
+  },
+  invalid_grant: {
+    status: 400,
+    title: 'Login Expired',
+    message: 'InsForge did not accept the login code. It may have expired or been used already.',
+    retry: 'login',
+  },
+  invalid_id_token: {
+    status: 401,
+    title: 'Login Could Not Be Verified',
+    message: 'The identity token from InsForge failed validation.',
+    retry: 'login',
+  },
+  session_expired: {
+    status: 401,
+    title: 'Session Expired',
+    message: 'Your session has ended. Please log in again.',
+    retry: 'login',
+  },
+  insufficient_scope: {
+    status: 403,
+    title: 'More Access Needed',
+    message: 'This needs access to your InsForge account that you have not granted.',
+    retry: 'login',
+  },
+  oauth_error: {
+    status: 502,
+    title: 'Authorization Failed',
+    message: 'InsForge could not complete the login.',
+    retry: 'login',
+  },
+  upstream_unavailable: {
+    status: 502,
+    title: 'InsForge Is Unavailable',
+    message: 'InsForge could not be reached or sent an invalid response. Please try again in a moment.',
+    retry: 'reload',
+  },
+  upstream_timeout: {
+    status: 504,
+    title: 'InsForge Is Not Responding',
+    message: 'InsForge took too long to respond. Please try again in a moment.',
+    retry: 'reload',
+  },
+  api_error: {
+    status: 502,
+    title: 'InsForge Request Failed',
+    message: 'InsForge could not complete the request.',
+    retry: 'reload',
+    expose: true,
+  },
+  invalid_csrf_token: {
+    status: 403,
+    title: 'Form Expired',
+    message: 'This form is out of date. Reload the page and try again.',
+    retry: null,
+  },
+  bad_request: {
+    status: 400,
+    title: 'Bad Request',
+    message: 'The request was not valid.',
+    retry: null,
+    expose: true,
+  },
+  not_found: {
+    status: 404,
+    title: 'Page Not Found',
+    message: 'There is nothing here.',
+    retry: null,
+  },
+  internal_error: {
+    status: 500,
+    title: 'Something Went Wrong',
+    message: 'An unexpected error occurred.',
+    retry: 'reload',
+  },
+};
+
+/**
+ * An error with an HTTP status whose message is safe to show
+ * (the convention body-parser and http-errors use)
+ *
+ * @param {number} status
+ * @param {string} message
+ * @param {string} [code]  Taxonomy entry, when more specific than bad_request
+ */
+function httpError(status, message, code) {
+  return Object.assign(new Error(message), { status, expose: true, code });
+}
+
+/**
+ * Find the taxonomy entry for an error
+ *
+ * @returns {{ code: string, status: number, title: string, message: string, retry: ?string }}
+ */
+function classifyError(err) {
+  const entry = (code, overrides = {}) => {
+    const type = ERROR_TYPES[code];
+    const message = type.expose && err.message ? err.message : type.message;
+    return { code, ...type, message, ...overrides };
+  };
+
+  if (err instanceof InvalidStateError) return entry(err.code);
+  if (err instanceof AccessDeniedError) return entry('access_denied');
+  if (err instanceof InvalidGrantError) return entry('invalid_grant');
+  if (err instanceof IdTokenError) return entry('invalid_id_token');
+  if (err instanceof SessionExpiredError) return entry('session_expired');
+  if (err instanceof InsufficientScopeError) return entry('insufficient_scope');
+  if (err instanceof OAuthError) {
+    return err.error === 'temporarily_unavailable' || err.error === 'server_error'
+      ? entry('upstream_unavailable')
+      : entry('oauth_error');
+  }
+  // AbortSignal.timeout() on InsForge requests
+  if (err.name === 'TimeoutError') return entry('upstream_timeout');
+  if (err instanceof UpstreamError) return entry('upstream_unavailable');
+  if (err instanceof InsForgeApiError) {
+    // InsForge's 4xx answers (not found, forbidden, ...) pass through
+    return entry('api_error', err.status < 500 ? { status: err.status } : {});
+  }
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    if (Object.hasOwn(ERROR_TYPES, err.code || '')) return entry(err.code);
+    return entry(err.status === 404 ? 'not_found' : 'bad_request', { status: err.status });
+  }
+  return entry('internal_error');
+}
+
+// =============================================================================
+// Middleware
+// =============================================================================
+
+/**
+ * Give each request a correlation ID (req.id and the X-Request-Id header)
+ */
+function requestId() {
+  return (req, res, next) => {
+    const incoming = req.get('x-request-id');
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    next();
+  };
+}
+
+/**
+ * 404 for anything no route handled
+ */
+function notFound() {
+  return (req, res, next) => next(httpError(404, `${req.method} ${req.path} not found`));
+}
+
+/**
+ * Find the login path for this request: the one loadAuth() or the callback
+ * chose (the active provider's), else the one registered by insforgeAuth()
+ * on this app or a parent
+ */
+function findLoginPath(req, res) {
+  if (res.locals.loginPath) {
+    return res.locals.loginPath;
+  }
+  for (let current = req.app; current; current = current.parent) {
+    if (current.locals.insforgeAuth) {
+      return current.locals.insforgeAuth.loginPath;
+    }
+  }
+  return null;
+}
+
+/**
+ * Where the retry action of an error page leads
+ *
+ * A failed login starts over and returns to where it started
+ * (res.locals.loginReturnTo); a callback URL can't be reloaded. Other pages
+ * log in and come back (asking for missing scopes), or simply reload.
+ */
+function retryUrl(req, res, retry, err) {
+  if (retry === 'login' || (retry && res.locals.loginReturnTo)) {
+    const loginPath = findLoginPath(req, res);
+    if (!loginPath) return null;
+    return loginUrl(loginPath, {
+      scopes: err instanceof InsufficientScopeError ? err.scopes : [],
+      returnTo: res.locals.loginReturnTo || (req.method === 'GET' ? req.originalUrl : undefined),
+    });
+  }
+  if (retry === 'reload' && req.method === 'GET') {
+    return req.originalUrl;
+  }
+  return null;
+}
+
+/**
+ * Central error handler
+ *
+ * - /api/* and JSON clients: { error, message, correlationId }
+ * - Popup logins (res.locals.popupNonce): the result is reported to the opener
+ * - Everything else: an error page with a retry action
+ *
+ * @param {Object} [options]
+ * @param {string} [options.apiPrefix]  Paths answered with JSON (default /api/)
+ */
+function errorHandler({ apiPrefix = '/api/' } = {}) {
+  return (err, req, res, next) => {
+    if (res.headersSent) {
+      return next(err);
+    }
+
+    if (!req.id) {
+      req.id = crypto.randomUUID();
+    }
+    const { code, status, title, message, retry } = classifyError(err);
+    // Without the query string: callbacks carry codes and state
+    const where = `${req.method} ${req.baseUrl}${req.path}`;
+
+    if (status >= 500) {
+      console.error(`[error] ${req.id} ${where} ${code}:`, err);
+    } else {
+      console.warn(`[error] ${req.id} ${where} ${code}: ${err.message}`);
+    }
+
+    res.status(status);
+
+    if (req.originalUrl.startsWith(apiPrefix) || req.accepts(['html', 'json']) === 'json') {
+      const body = { error: code, message, correlationId: req.id };
+      if (err instanceof InsufficientScopeError) {
+        body.required_scopes = err.scopes;
+        // Where a browser can grant them (incremental authorization)
+        const loginPath = findLoginPath(req, res);
+        body.grant_url = loginPath ? loginUrl(loginPath, { scopes: err.scopes }) : null;
+      }
+      return res.json(body);
+    }
+
+    if (res.locals.popupNonce) {
+      return res.send(popupCompletePage({
+        nonce: res.locals.popupNonce,
+        error: code,
+        message: `${message} (Reference: ${req.id})`,
+      }));
+    }
+
+    res.send(errorPage({
+      title,
+      message,
+      retryUrl: retryUrl(req, res, retry, err),
+      correlationId: req.id,
+    }));
+  };
+}
+
+module.exports = {
+  ERROR_TYPES,
+  httpError,
+  classifyError,
+  requestId,
+  notFound,
+  errorHandler,
+};
@@ -0,0 +1,136 @@
+/**
+ * InsForge OAuth Errors
+ *
+ * Every error thrown by the client modules extends InsForgeError, so callers
+ * can tell them apart from programming errors with a single instanceof check.
+ */
+
+/**
+ * Base class for all InsForge errors
+ */
+class InsForgeError extends Error {
+  constructor(message, { status, cause } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.status = status;
+  }
+}
+
+/**
+ * The authorization server answered with an OAuth error response
+ * (e.g. invalid_request, invalid_client, access_denied)
+ */
+class OAuthError extends InsForgeError {
+  constructor(error, description, { status, cause } = {}) {
+    super(description ? `${error}: ${description}` : error, { status, cause });
+    this.error = error;
+    this.description = description;
+  }
+}
+
+/**
+ * The code or refresh token was rejected (expired, revoked or already used)
+ */
+class InvalidGrantError extends OAuthError {
+  constructor(description, options) {
+    super('invalid_grant', description, options);
+  }
+}
+
+/**
+ * The user declined the authorization request (access_denied)
+ */
+class AccessDeniedError extends OAuthError {
+  constructor(description, options = {}) {
+    super('access_denied', description, { status: 403, ...options });
+  }
+}
+
+/**
+ * InsForge could not be reached or sent a response we can't understand
+ * (network failure, 5xx, non-JSON body)
+ */
+class UpstreamError extends InsForgeError {}
+
+/**
+ * InsForge answered an API call with an error status
+ */
+class InsForgeApiError extends InsForgeError {
+  /**
+   * @param {string} message
+   * @param {Object} details
+   * @param {number} details.status  Upstream HTTP status
+   * @param {string} details.code    Upstream error code (or 'http_<status>')
+   * @param {string} details.method
+   * @param {string} details.path
+   * @param {*} [details.body]       Parsed upstream error body
+   */
+  constructor(message, { status, code, method, path, body }) {
+    super(message, { status });
+    this.code = code;
+    this.method = method;
+    this.path = path;
+    this.body = body;
+  }
+}
+
+/**
+ * An OpenID Connect id_token failed validation (signature, issuer,
+ * audience, expiry or nonce)
+ */
+class IdTokenError extends InsForgeError {
+  constructor(message, options = {}) {
+    super(message, { status: 401, ...options });
+  }
+}
+
+/**
+ * The user is not logged in, or their tokens were rejected and cleared
+ */
+class SessionExpiredError extends InsForgeError {
+  constructor(message = 'Not authenticated', options = {}) {
+    super(message, { status: 401, ...options });
+  }
+}
+
+/**
+ * The user is logged in but has not granted every scope a route needs
+ */
+class InsufficientScopeError extends InsForgeError {
+  /**
+   * @param {string[]} scopes  The missing scopes
+   */
+  constructor(scopes, options = {}) {
+    super(`Missing scope: ${scopes.join(' ')}`, { status: 403, ...options });
+    this.scopes = scopes;
+  }
+}
+
+/**
+ * A callback's state does not match a pending login (forged, expired or
+ * already used)
+ */
+class InvalidStateError extends InsForgeError {
+  /**
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {'invalid_state'|'expired_transaction'} [options.code]
+   */
+  constructor(message, { code = 'invalid_state', ...options } = {}) {
+    super(message, { status: 400, ...options });
+    this.code = code;
+  }
+}
+
+module.exports = {
+  InsForgeError,
+  OAuthError,
+  InvalidGrantError,
+  AccessDeniedError,
+  UpstreamError,
+  InsForgeApiError,
+  IdTokenError,
+  SessionExpiredError,
+  InsufficientScopeError,
+  InvalidStateError,
+};
@@ -0,0 +1,70 @@
+/**
+ * InsForge OAuth - public entry point
+ *
+ *   const { InsForgeOAuthClient, OAuthError } = require('insforge-oauth-example');
+ */
+
+const {
+  InsForgeOAuthClient,
+  generateCodeVerifier,
+  generateCodeChallenge,
+  generateState,
+} = require('./oauth-client');
+const { discoverMetadata, JwksCache, verifyIdToken } = require('./oidc');
+const { ClientAuth } = require('./client-auth');
+const { InsForgeApiClient } = require('./api-client');
+const { ApiCache, MemoryCacheStore, RedisCacheStore } = require('./cache');
+const { FileSessionStore, RedisSessionStore, createSession } = require('./session-store');
+const { TokenCipher } = require('./token-crypto');
+const { insforgeAuth, loadAuth, requireAuth, logout, unlinkAccount } = require('./middleware');
+const { DEFAULT_PROVIDER, readProvidersFile } = require('./providers');
+const { getAccount } = require('./session-tokens');
+const { sessionRoutes } = require('./session-api');
+const { insforgeProxy, DEFAULT_PROXY_ROUTES } = require('./proxy');
+const { deviceLogin, loopbackLogin, CredentialStore } = require('./cli-auth');
+const { ServiceTokenProvider } = require('./service-tokens');
+const { classifyError, httpError, requestId, notFound, errorHandler } = require('./error-handler');
+const { csrfToken, csrfProtection } = require('./csrf');
+const errors = require('./errors');
+
+module.exports = {
+  InsForgeOAuthClient,
+  generateCodeVerifier,
+  generateCodeChallenge,
+  generateState,
+  discoverMetadata,
+  JwksCache,
+  verifyIdToken,
+  ClientAuth,
+  InsForgeApiClient,
+  ApiCache,
+  MemoryCacheStore,
+  RedisCacheStore,
+  FileSessionStore,
+  RedisSessionStore,
+  createSession,
+  TokenCipher,
+  insforgeAuth,
+  loadAuth,
+  requireAuth,
+  logout,
+  unlinkAccount,
+  getAccount,
+  DEFAULT_PROVIDER,
+  readProvidersFile,
+  sessionRoutes,
+  insforgeProxy,
+  DEFAULT_PROXY_ROUTES,
+  deviceLogin,
+  loopbackLogin,
+  CredentialStore,
+  ServiceTokenProvider,
+  classifyError,
+  httpError,
+  requestId,
+  notFound,
+  errorHandler,
+  csrfToken,
+  csrfProtection,
+  ...errors,
+};
@@ -0,0 +1,88 @@
+/**
+ * JSON Web Signatures
+ *
+ * Signing and verification of compact JWTs with node's crypto, shared by
+ * id_token validation (oidc.js) and private_key_jwt client assertions
+ * (client-auth.js).
+ *
+ * Asymmetric algorithms only: RS*, PS*, ES* and EdDSA. Unsigned tokens
+ * (alg "none") and HMAC algorithms are not supported.
+ */
+
+const crypto = require('crypto');
+
+// alg -> digest, key type and signature options for crypto.sign()/verify()
+const ALGORITHMS = {
+  RS256: { digest: 'sha256', kty: 'RSA' },
+  RS384: { digest: 'sha384', kty: 'RSA' },
+  RS512: { digest: 'sha512', kty: 'RSA' },
+  PS256: { digest: 'sha256', kty: 'RSA', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS384: { digest: 'sha384', kty: 'RSA', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS512: { digest: 'sha512', kty: 'RSA', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { digest: 'sha256', kty: 'EC', dsaEncoding: 'ieee-p1363' },
+  ES384: { digest: 'sha384', kty: 'EC', dsaEncoding: 'ieee-p1363' },
+  ES512: { digest: 'sha512', kty: 'EC', dsaEncoding: 'ieee-p1363' },
+  EdDSA: { digest: null, kty: 'OKP' },
+};
+
+/**
+ * Settings for a supported algorithm, or null
+ */
+function getAlgorithm(alg) {
+  return Object.hasOwn(ALGORITHMS, alg) ? ALGORITHMS[alg] : null;
+}
+
+function encodePart(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Sign claims as a compact JWT
+ *
+ * @param {Object} claims
+ * @param {Object} options
+ * @param {crypto.KeyLike} options.key  Private key (PEM or KeyObject)
+ * @param {string} options.alg
+ * @param {string} [options.kid]
+ * @returns {string}
+ */
+function signJwt(claims, { key, alg, kid }) {
+  const algorithm = getAlgorithm(alg);
+  if (!algorithm) {
+    throw new TypeError(`Unsupported JWT algorithm "${alg}"`);
+  }
+
+  const header = { alg, typ: 'JWT', ...(kid && { kid }) };
+  const input = `${encodePart(header)}.${encodePart(claims)}`;
+  const signature = crypto.sign(algorithm.digest, Buffer.from(input), {
+    key,
+    padding: algorithm.padding,
+    dsaEncoding: algorithm.dsaEncoding,
+  });
+  return `${input}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Check a JWT signature (the caller has checked the algorithm is supported)
+ *
+ * @param {string} signingInput  "<header>.<payload>" as received
+ * @param {string} signature     base64url signature
+ * @param {crypto.KeyObject} key
+ * @param {string} alg
+ * @returns {boolean}
+ */
+function verifySignature(signingInput, signature, key, alg) {
+  const algorithm = getAlgorithm(alg);
+  return crypto.verify(
+    algorithm.digest,
+    Buffer.from(signingInput),
+    { key, padding: algorithm.padding, dsaEncoding: algorithm.dsaEncoding },
+    Buffer.from(signature, 'base64url')
+  );
+}
+
+module.exports = {
+  getAlgorithm,
+  signJwt,
+  verifySignature,
+};
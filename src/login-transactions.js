@@ -0,0 +1,125 @@
+/**
+ * Login Transactions
+ *
+ * Every login attempt gets its own transaction in the session, keyed by the
+ * state parameter. Several flows can run at once (two tabs, a popup and a
+ * redirect) without overwriting each other.
+ *
+ * A transaction holds:
+ *   codeVerifier  PKCE verifier for the token exchange
+ *   mode          'redirect' or 'popup'
+ *   returnTo      Where to send the user after login
+ *   nonce         Popup nonce from the opener (popup mode)
+ *   oidcNonce     OpenID Connect nonce, checked against the id_token
+ *   createdAt     Timestamp (ms); transactions expire after a few minutes
+ *
+ * Transactions are single use: the callback removes it before exchanging the
+ * code, so a replayed callback finds nothing.
+ *
+ * State format: <id>.<signature>, where the signature is an HMAC of the id
+ * and a random key kept in the session (not the session id, which changes at
+ * login: see SESSION_FIELDS). A state from another session or a made-up one
+ * is rejected before the session is searched.
+ */
+
+const crypto = require('crypto');
+const { generateState } = require('./oauth-client');
+const { InvalidStateError } = require('./errors');
+
+const DEFAULT_TTL_MS = 10 * 60 * 1000;
+
+// At most this many pending transactions per session (oldest are dropped)
+const MAX_TRANSACTIONS = 10;
+
+// Where transactions live in the session: carry them over when it is
+// regenerated, or the other pending logins fail
+const SESSION_FIELDS = ['oauthTransactions', 'oauthStateKey'];
+
+/**
+ * @typedef {Object} LoginTransaction
+ * @property {string} codeVerifier
+ * @property {'redirect'|'popup'} mode
+ * @property {string} returnTo
+ * @property {string} [nonce]
+ * @property {string} [oidcNonce]
+ * @property {number} createdAt
+ */
+
+function sign(id, stateKey, secret) {
+  return crypto.createHmac('sha256', secret)
+    .update(`oauth-state.${id}.${stateKey}`)
+    .digest('base64url');
+}
+
+/**
+ * Remove expired transactions and make room for a new one
+ */
+function prune(transactions, ttlMs) {
+  const now = Date.now();
+  const pending = Object.entries(transactions)
+    .filter(([, transaction]) => now - transaction.createdAt < ttlMs)
+    .sort(([, a], [, b]) => b.createdAt - a.createdAt)
+    .slice(0, MAX_TRANSACTIONS - 1);
+  return Object.fromEntries(pending);
+}
+
+/**
+ * Start a login transaction
+ *
+ * @param {import('express').Request} req
+ * @param {Omit<LoginTransaction, 'createdAt'>} transaction
+ * @param {Object} options
+ * @param {string|Buffer} options.secret  Key for signing the state
+ * @param {number} [options.ttlMs]        Transaction lifetime (default 10 minutes)
+ * @returns {string} The state parameter for the authorization URL
+ */
+function createTransaction(req, transaction, { secret, ttlMs = DEFAULT_TTL_MS }) {
+  const id = generateState();
+  if (!req.session.oauthStateKey) {
+    req.session.oauthStateKey = crypto.randomBytes(16).toString('base64url');
+  }
+  req.session.oauthTransactions = {
+    ...prune(req.session.oauthTransactions || {}, ttlMs),
+    [id]: { ...transaction, createdAt: Date.now() },
+  };
+  return `${id}.${sign(id, req.session.oauthStateKey, secret)}`;
+}
+
+/**
+ * Remove and return the transaction for a callback's state
+ *
+ * @returns {LoginTransaction}
+ * @throws {InvalidStateError} if the state is forged, unknown, used or expired
+ */
+function takeTransaction(req, state, { secret, ttlMs = DEFAULT_TTL_MS }) {
+  const [id, signature] = typeof state === 'string' ? state.split('.') : [];
+  const { oauthStateKey } = req.session;
+  const expected = id && oauthStateKey ? sign(id, oauthStateKey, secret) : '';
+
+  if (!signature || signature.length !== expected.length
+    || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    throw new InvalidStateError('Invalid state parameter. Possible CSRF attack.');
+  }
+
+  const transactions = req.session.oauthTransactions || {};
+  const transaction = transactions[id];
+  delete transactions[id];
+
+  if (!transaction) {
+    throw new InvalidStateError('This login link was already used or has expired. Please log in again.', {
+      code: 'expired_transaction',
+    });
+  }
+  if (Date.now() - transaction.createdAt >= ttlMs) {
+    throw new InvalidStateError('This login took too long. Please log in again.', {
+      code: 'expired_transaction',
+    });
+  }
+  return transaction;
+}
+
+module.exports = {
+  SESSION_FIELDS,
+  createTransaction,
+  takeTransaction,
+};
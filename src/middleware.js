@@ -0,0 +1,698 @@
+/**
+ * InsForge Auth Middleware for Express
+ *
+ * Drop-in "Login with InsForge" for any Express app:
+ *
+ *   app.use(session({ ... }));
+ *   app.use('/auth', insforgeAuth({ baseUrl, clientId, clientSecret, redirectUri, scopes }));
+ *
+ *   app.get('/api/organizations', requireAuth({ scopes: ['organizations:read'] }), async (req, res) => {
+ *     const response = await req.insforge.fetch('/organizations/v1');
+ *     res.json(await response.json());
+ *   });
+ *
+ * Routes provided by insforgeAuth() (relative to where it is mounted):
+ *   GET /login          Start OAuth flow (redirect mode, optional ?returnTo= and ?scope=)
+ *   GET /login-popup    Start OAuth flow (popup mode, ?nonce= from the opener)
+ *   GET /callback       OAuth callback (redirect_uri must point here)
+ *   GET /logout         Revoke tokens and destroy the session
+ *
+ * With several providers (options.providers, see providers.js), /login and
+ * /login-popup use the first one, and each provider also has:
+ *   GET /:provider/login         Log in with (or link) that provider's account
+ *   GET /:provider/login-popup   Same, in a popup
+ *   GET /:provider/logout        Unlink that account (a full logout if it is the last)
+ *
+ * Every provider's client uses the same /callback: the login transaction
+ * remembers which provider the login was for.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { InsForgeOAuthClient, generateCodeVerifier, generateState } = require('./oauth-client');
+const { InsForgeApiClient } = require('./api-client');
+const { ApiCache } = require('./cache');
+const {
+  OAuthError,
+  AccessDeniedError,
+  IdTokenError,
+  SessionExpiredError,
+  InsufficientScopeError,
+  InvalidStateError,
+} = require('./errors');
+const { httpError, errorHandler } = require('./error-handler');
+const {
+  SESSION_FIELDS: TRANSACTION_FIELDS,
+  createTransaction,
+  takeTransaction,
+} = require('./login-transactions');
+const { safeReturnTo, loginUrl } = require('./return-to');
+const { popupCompletePage } = require('./views');
+const { DEFAULT_PROVIDER } = require('./providers');
+const {
+  getAccounts,
+  getAccount,
+  storeTokens,
+  getStoredTokens,
+  clearAuth,
+  splitScopes,
+  getGrantedScopes,
+  getAccessToken,
+  createSessionFetch,
+} = require('./session-tokens');
+
+// Nonces generated by the popup opener (see public/insforge-auth.js)
+const POPUP_NONCE_PATTERN = /^[\w-]{16,128}$/;
+
+/**
+ * Build the providers of insforgeAuth(): options.providers, or the single
+ * one described by the options themselves
+ *
+ * @returns {Map<string, { name, label, client, endSessionUrl, grantableScopes }>}
+ */
+function createProviders(options) {
+  const list = options.providers || [{ ...options, name: options.name || DEFAULT_PROVIDER }];
+  if (list.length === 0) {
+    throw new TypeError('insforgeAuth() needs at least one provider');
+  }
+
+  const providers = new Map();
+  for (const provider of list) {
+    if (!provider.name || providers.has(provider.name)) {
+      throw new TypeError(`Every provider needs a unique name (got "${provider.name}")`);
+    }
+    const client = provider.client || new InsForgeOAuthClient({ redirectUri: options.redirectUri, ...provider });
+    providers.set(provider.name, {
+      name: provider.name,
+      label: provider.label || provider.name,
+      client,
+      endSessionUrl: provider.endSessionUrl,
+      // Everything /login?scope= may ask for
+      grantableScopes: new Set(splitScopes(`${client.scopes} ${provider.optionalScopes || ''}`)),
+    });
+  }
+  return providers;
+}
+
+/**
+ * Create the /auth routes
+ *
+ * @param {Object} options                  InsForgeOAuthClient options, plus:
+ * @param {InsForgeOAuthClient} [options.client]     Use an existing client instead
+ * @param {Object[]} [options.providers]             Several providers instead: each has a `name`,
+ *                                                  a `label` and its own client options
+ *                                                  (or `client`), optionalScopes and endSessionUrl;
+ *                                                  options.redirectUri is the default for all
+ * @param {string} [options.afterLoginPath]          Where to send users after login (default '/')
+ * @param {string} [options.optionalScopes]          Scopes not requested at login that users can grant
+ *                                                  later with /login?scope= (space separated)
+ * @param {string[]} [options.returnToAllowlist]     Origins besides this app that ?returnTo= may point to
+ * @param {string} [options.postLogoutRedirectUrl]   Where to send users after logout (default '/',
+ *                                                  relative to redirectUri)
+ * @param {string} [options.endSessionUrl]           InsForge end-session endpoint to visit on logout
+ * @param {number} [options.refreshMarginMs]         Refresh access tokens this long before expiry
+ * @param {string} [options.stateSecret]             Signs the state parameter (default: random
+ *                                                  per process; set it when running several instances)
+ * @param {number} [options.loginTimeoutMs]          How long a login may take (default 10 minutes)
+ * @param {import('./token-crypto').TokenCipher} [options.tokenCipher]
+ *                                                  Encrypts tokens stored in the session
+ * @param {ApiCache|false} [options.cache]           Cache for API responses (default: in-memory,
+ *                                                  false disables caching)
+ */
+function insforgeAuth(options = {}) {
+  const {
+    afterLoginPath = '/',
+    returnToAllowlist = [],
+    postLogoutRedirectUrl = '/',
+    refreshMarginMs,
+    tokenCipher,
+    stateSecret = crypto.randomBytes(32),
+    loginTimeoutMs,
+  } = options;
+  const transactionOptions = { secret: stateSecret, ttlMs: loginTimeoutMs };
+  // Normalized up front, so a malformed entry fails at startup
+  const returnToOptions = {
+    allowlist: returnToAllowlist.map((origin) => new URL(origin).origin),
+    fallback: afterLoginPath,
+  };
+  const providers = createProviders(options);
+  const [defaultProvider] = providers.keys();
+  const cache = options.cache === false ? null : options.cache || new ApiCache();
+
+  const auth = express();
+
+  // The default provider keeps the plain /login
+  const providerLoginPath = (name) => (name === defaultProvider
+    ? `${auth.mountpath}/login`
+    : `${auth.mountpath}/${name}/login`);
+  const providerLogoutPath = (name) => `${auth.mountpath}/${name}/logout`;
+
+  // Let requireAuth() on the parent app find the providers, login and logout routes
+  auth.on('mount', (parent) => {
+    parent.locals.insforgeAuth = {
+      providers,
+      defaultProvider,
+      loginPath: providerLoginPath(defaultProvider),
+      providerLoginPath,
+      logoutPath: `${auth.mountpath}/logout`,
+      providerLogoutPath,
+      refreshMarginMs,
+      tokenCipher,
+      cache,
+      postLogoutRedirectUrl,
+    };
+  });
+
+  /**
+   * The provider named in the path (404 for one that isn't configured)
+   */
+  function findProvider(name) {
+    const provider = providers.get(name);
+    if (!provider) {
+      throw httpError(404, `There is no "${name}" provider.`);
+    }
+    return provider;
+  }
+
+  /**
+   * Scopes for a new login
+   *
+   * ?scope= asks for more access. A user with an account at the provider is
+   * only asked for the scopes they haven't granted yet (incremental
+   * authorization), and the new token covers both; `granted` says there are
+   * none. With nothing missing, the configured scopes are asked for again
+   * (keeping those granted since). `expected` is what the token should end up with.
+   */
+  function loginScopes(req, provider) {
+    const extra = splitScopes(req.query.scope);
+    const unknown = extra.filter((scope) => !provider.grantableScopes.has(scope));
+    if (unknown.length > 0) {
+      throw httpError(400, `This app can't request ${unknown.join(', ')}.`);
+    }
+
+    const configured = splitScopes(provider.client.scopes);
+    const granted = getGrantedScopes(req, { provider: provider.name });
+    if (granted.length === 0) {
+      const all = [...new Set([...configured, ...extra])];
+      return { request: all, expected: all, incremental: false };
+    }
+    const missing = extra.filter((scope) => !granted.includes(scope));
+    const request = missing.length > 0 ? missing : configured;
+    return {
+      request,
+      expected: [...new Set([...granted, ...request])],
+      incremental: true,
+      granted: extra.length > 0 && missing.length === 0,
+    };
+  }
+
+  /**
+   * Start an OAuth flow
+   *
+   * - Generate PKCE verifier and challenge
+   * - Start a login transaction; its signed id is the state (CSRF protection)
+   * - Redirect to InsForge /authorize
+   *
+   * ?returnTo= is where to go after login: a path on this app or a URL on an
+   * allowlisted origin (anything else falls back to afterLoginPath).
+   */
+  async function startLogin(req, res, { popup = false, nonce } = {}) {
+    const provider = findProvider(req.params.provider || defaultProvider);
+    const returnTo = safeReturnTo(req.query.returnTo, returnToOptions);
+    const scopes = loginScopes(req, provider);
+
+    // Every scope in ?scope= is granted already: nothing to ask InsForge, the
+    // provider's account just becomes the active one
+    if (scopes.granted && getAccount(req, provider.name).user) {
+      req.session.activeProvider = provider.name;
+      return popup ? res.send(popupCompletePage({ nonce, returnTo })) : res.redirect(returnTo);
+    }
+
+    const codeVerifier = generateCodeVerifier();
+    // Sent as the OIDC nonce when the client uses OpenID Connect
+    const oidcNonce = generateState();
+    const state = createTransaction(req, {
+      provider: provider.name,
+      codeVerifier,
+      mode: popup ? 'popup' : 'redirect',
+      returnTo,
+      // The popup's result is only accepted by the window holding this nonce
+      nonce,
+      oidcNonce,
+      scope: scopes.expected.join(' '),
+    }, transactionOptions);
+    const { url } = await provider.client.buildAuthorizationUrl({
+      scope: scopes.request.join(' '),
+      includeGrantedScopes: scopes.incremental,
+      state,
+      codeVerifier,
+      nonce: oidcNonce,
+    });
+
+    console.log(`${popup ? 'Popup: ' : ''}Redirecting to ${provider.label}:`, url);
+
+    // Redirect user to InsForge
+    res.redirect(url);
+  }
+
+  /**
+   * Step 1: Start OAuth flow (Redirect mode - legacy)
+   */
+  function login(req, res, next) {
+    startLogin(req, res).catch(next);
+  }
+
+  /**
+   * Step 1b: Start OAuth flow (Popup mode)
+   *
+   * The opener generates a random nonce and passes it as ?nonce=. The
+   * callback page echoes it back with the result, so the opener can ignore
+   * messages that belong to another flow.
+   */
+  function loginPopup(req, res, next) {
+    const { nonce } = req.query;
+    if (typeof nonce !== 'string' || !POPUP_NONCE_PATTERN.test(nonce)) {
+      return next(httpError(400, 'Missing or invalid popup nonce.'));
+    }
+    startLogin(req, res, { popup: true, nonce }).catch(next);
+  }
+
+  auth.get('/login', login);
+  auth.get('/login-popup', loginPopup);
+  auth.get('/:provider/login', login);
+  auth.get('/:provider/login-popup', loginPopup);
+
+  /**
+   * Step 2: OAuth callback
+   *
+   * InsForge redirects here after user approves.
+   * This handles BOTH popup mode and redirect mode.
+   *
+   * - Take the login transaction for the state (once only)
+   * - Exchange code for tokens with the transaction's provider (server-to-server)
+   * - Store them as that provider's account and make it the active one
+   * - Regenerate the session ID, keeping the linked accounts and pending logins
+   * - If popup: report the result to the opener (see public/popup-complete.js)
+   * - If redirect: redirect to home page
+   */
+  auth.get('/callback', async (req, res, next) => {
+    const { code, state, error, error_description } = req.query;
+
+    // A retry after a failed login never returns to this callback
+    res.locals.loginReturnTo = afterLoginPath;
+    let provider;
+
+    try {
+      // Verify state (CSRF protection) and take the transaction, so it can't be replayed
+      const transaction = takeTransaction(req, state, transactionOptions);
+      const isPopup = transaction.mode === 'popup';
+
+      // Failures are reported to the opener in popup mode, and a retry
+      // returns to where this login started (see error-handler.js)
+      if (isPopup) {
+        res.locals.popupNonce = transaction.nonce;
+      }
+      res.locals.loginReturnTo = transaction.returnTo;
+
+      // Logins started before the provider setting changed
+      provider = providers.get(transaction.provider || DEFAULT_PROVIDER);
+      if (!provider) {
+        throw new InvalidStateError('This login was for a provider that is no longer available. Please log in again.', {
+          code: 'expired_transaction',
+        });
+      }
+      const { client } = provider;
+      // A retry logs in with the same provider
+      res.locals.loginPath = providerLoginPath(provider.name);
+
+      // Check for errors from InsForge
+      if (error) {
+        throw error === 'access_denied'
+          ? new AccessDeniedError(error_description)
+          : new OAuthError(error, error_description);
+      }
+
+      // Exchange code for tokens (server-to-server call)
+      console.log(`Exchanging code for ${provider.label} tokens...`);
+
+      const tokens = await client.exchangeCode({
+        code,
+        codeVerifier: transaction.codeVerifier,
+        nonce: transaction.oidcNonce,
+      });
+
+      console.log('Tokens received:', {
+        access_token: tokens.access_token?.substring(0, 20) + '...',
+        refresh_token: tokens.refresh_token?.substring(0, 20) + '...',
+        expires_in: tokens.expires_in,
+      });
+
+      // Store tokens in session (tracks expiry for refresh). InsForge says
+      // which scopes were granted; without that, it's what was asked for.
+      const tokenOptions = { cipher: tokenCipher, provider: provider.name };
+      storeTokens(req, { scope: transaction.scope, ...tokens }, tokenOptions);
+
+      const granted = getGrantedScopes(req, tokenOptions);
+      const declined = splitScopes(transaction.scope).filter((scope) => !granted.includes(scope));
+      if (declined.length > 0) {
+        console.log('Scopes not granted:', declined.join(' '));
+      }
+
+      // Fetch user profile using the access token
+      const profile = await client.getProfile(tokens.access_token)
+        .catch((err) => console.error('Failed to fetch profile:', err));
+
+      // OIDC: the verified id_token says who logged in; the profile must agree
+      if (tokens.claims && profile && profile.id !== tokens.claims.sub) {
+        throw new IdTokenError('The user profile does not match the id_token subject');
+      }
+      getAccount(req, provider.name).user = profile
+        || (tokens.claims && { id: tokens.claims.sub, email: tokens.claims.email });
+      req.session.activeProvider = provider.name;
+
+      // New session ID for the logged-in session (session fixation)
+      await regenerateSession(req);
+
+      // If popup mode, report success to the opener and close
+      if (isPopup) {
+        return res.send(popupCompletePage({ nonce: transaction.nonce, returnTo: transaction.returnTo }));
+      }
+
+      // Redirect mode - back to where the login started
+      res.redirect(transaction.returnTo);
+
+    } catch (err) {
+      // Don't keep tokens for a login that could not be verified
+      if (err instanceof IdTokenError) {
+        clearAuth(req, { provider: provider.name });
+      }
+      next(err);
+    }
+  });
+
+  /**
+   * Logout
+   *
+   * Revokes the tokens and destroys the session (see logout()), then
+   * redirects to the end-session endpoint (if configured) or the signed-out page
+   */
+  auth.get('/logout', async (req, res, next) => {
+    try {
+      const { redirectUrl } = await logout(req);
+      res.redirect(redirectUrl);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Unlink one provider's account
+   *
+   * The other linked accounts stay logged in; unlinking the last one is a
+   * full logout. Otherwise returns to ?returnTo= (default afterLoginPath).
+   */
+  auth.get('/:provider/logout', async (req, res, next) => {
+    try {
+      const provider = findProvider(req.params.provider);
+      const others = Object.keys(getAccounts(req)).filter((name) => name !== provider.name);
+      if (others.length === 0) {
+        const { redirectUrl } = await logout(req);
+        return res.redirect(redirectUrl);
+      }
+
+      await unlinkAccount(req, provider.name);
+      res.redirect(safeReturnTo(req.query.returnTo, returnToOptions));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Error pages for the routes above, also when the app has no error handler
+  auth.use(errorHandler());
+
+  return auth;
+}
+
+/**
+ * Give the session a new ID, keeping its linked accounts and the other
+ * pending logins
+ *
+ * An ID that existed before the login (e.g. planted by an attacker) must not
+ * become a logged-in session.
+ */
+function regenerateSession(req) {
+  const kept = {};
+  for (const field of ['accounts', 'activeProvider', ...TRANSACTION_FIELDS]) {
+    kept[field] = req.session[field];
+  }
+  return new Promise((resolve, reject) => req.session.regenerate((err) => {
+    if (err) {
+      return reject(err);
+    }
+    Object.assign(req.session, kept);
+    req.session.save((saveErr) => (saveErr ? reject(saveErr) : resolve()));
+  }));
+}
+
+/**
+ * Find the settings registered by insforgeAuth() on this app or a parent
+ */
+function getAuthSettings(app) {
+  for (let current = app; current; current = current.parent) {
+    if (current.locals.insforgeAuth) {
+      return current.locals.insforgeAuth;
+    }
+  }
+  throw new Error('insforgeAuth() must be mounted before using loadAuth() or requireAuth()');
+}
+
+/**
+ * Key of a linked account's cached API responses (user ids are only unique
+ * within a provider)
+ */
+function cacheKey(provider, userId) {
+  return `${provider}:${userId}`;
+}
+
+/**
+ * Revoke a linked account's tokens and clear its cached API responses
+ *
+ * @returns {Promise<string[]>} Token types the provider did not revoke
+ */
+async function revokeAccount(req, name) {
+  const { providers, tokenCipher, cache } = getAuthSettings(req.app);
+  const userId = getAccount(req, name)?.user?.id;
+
+  if (cache && userId) {
+    await cache.invalidate(cacheKey(name, userId)).catch((err) => console.error('Failed to clear cache:', err));
+  }
+
+  // An account of a provider that was removed from the configuration
+  const provider = providers.get(name);
+  if (!provider) {
+    console.warn(`Not revoking the tokens of ${name}: the provider is not configured`);
+    return [];
+  }
+
+  // Revoke the refresh token first: it outlives the access token
+  const { accessToken, refreshToken } = getStoredTokens(req, { cipher: tokenCipher, provider: name });
+  const tokens = [
+    ['refresh_token', refreshToken],
+    ['access_token', accessToken],
+  ].filter(([, token]) => token);
+
+  const results = await Promise.allSettled(
+    tokens.map(([tokenTypeHint, token]) => provider.client.revoke(token, tokenTypeHint))
+  );
+
+  const failed = [];
+  results.forEach((result, i) => {
+    if (result.status === 'rejected') {
+      console.error(`Failed to revoke ${name} ${tokens[i][0]}:`, result.reason);
+      failed.push(tokens[i][0]);
+    }
+  });
+  return failed;
+}
+
+/**
+ * Unlink a provider's account: revoke its tokens and remove it from the
+ * session, keeping the other accounts (see clearAuth())
+ *
+ * @returns {Promise<{ revocationFailed: string[] }>}
+ */
+async function unlinkAccount(req, provider) {
+  const revocationFailed = await revokeAccount(req, provider);
+  clearAuth(req, { provider });
+  return { revocationFailed };
+}
+
+/**
+ * Log the user out
+ *
+ * - Clear the cached API responses of every linked account
+ * - Revoke their refresh and access tokens at their providers
+ * - Destroy the local session
+ *
+ * Never fails: tokens InsForge did not revoke are reported in
+ * `revocationFailed` (and on the signed-out page).
+ *
+ * @returns {Promise<{ revocationFailed: string[], redirectUrl: string }>}
+ *   redirectUrl: the signed-out page, through the active provider's
+ *   end-session endpoint if configured
+ */
+async function logout(req) {
+  const { providers, defaultProvider, postLogoutRedirectUrl } = getAuthSettings(req.app);
+  const { client, endSessionUrl } = providers.get(req.session.activeProvider) || providers.get(defaultProvider);
+
+  const failed = await Promise.all(Object.keys(getAccounts(req)).map((name) => revokeAccount(req, name)));
+  const revocationFailed = [...new Set(failed.flat())];
+
+  const signedOutUrl = new URL(postLogoutRedirectUrl, client.redirectUri);
+  if (revocationFailed.length > 0) {
+    signedOutUrl.searchParams.set('revocation_failed', revocationFailed.join(','));
+  }
+
+  let redirectUrl = signedOutUrl.toString();
+  if (endSessionUrl) {
+    const endSession = new URL(endSessionUrl);
+    endSession.searchParams.set('client_id', client.clientId);
+    endSession.searchParams.set('post_logout_redirect_uri', redirectUrl);
+    redirectUrl = endSession.toString();
+  }
+
+  await new Promise((resolve) => req.session.destroy((err) => {
+    if (err) {
+      console.error('Failed to destroy session:', err);
+    }
+    resolve();
+  }));
+
+  return { revocationFailed, redirectUrl };
+}
+
+/**
+ * What req.insforge offers for one linked account (null without one)
+ */
+function accountView(req, settings, name) {
+  const { providers, providerLoginPath, refreshMarginMs, tokenCipher, cache } = settings;
+  const provider = providers.get(name);
+  const account = provider ? getAccount(req, name) : null;
+  if (!account?.accessToken) {
+    return null;
+  }
+
+  const { user } = account;
+  const scopes = splitScopes(account.scope);
+  const userCache = cache && user?.id ? cache.forUser(cacheKey(name, user.id), scopes) : undefined;
+
+  // New tokens may come with different access: start from a clean cache
+  const onRefresh = async () => userCache?.invalidate();
+
+  const tokenOptions = { provider: name, refreshMarginMs, cipher: tokenCipher, onRefresh };
+  const fetch = createSessionFetch(req, provider.client, tokenOptions);
+  return {
+    provider: name,
+    label: provider.label,
+    user,
+    scopes,
+    hasScopes: (...required) => required.every((scope) => scopes.includes(scope)),
+    grantUrl: (required, returnTo) => loginUrl(providerLoginPath(name), {
+      scopes: required.filter((scope) => !scopes.includes(scope)),
+      returnTo,
+    }),
+    fetch,
+    getAccessToken: () => getAccessToken(req, provider.client, tokenOptions),
+    api: new InsForgeApiClient({ identity: 'user', fetch, cache: userCache }),
+    invalidateCache: async () => userCache?.invalidate(),
+  };
+}
+
+/**
+ * Attach req.insforge for logged-in users (null otherwise)
+ *
+ * It is the active account's (see /auth/:provider/login):
+ *
+ * req.insforge = {
+ *   provider, // Provider name, and its label
+ *   label,
+ *   user,     // InsForge profile
+ *   scopes,   // Granted scopes
+ *   hasScopes(...scopes),          // Whether every one of them is granted
+ *   grantUrl(scopes, returnTo),    // Login URL asking for the missing ones
+ *   fetch,    // fetch(path, init) with the access token, refreshed as needed
+ *   getAccessToken,   // The access token itself (decrypted, refreshed as needed)
+ *   api,      // InsForgeApiClient using that fetch (and the cache)
+ *   invalidateCache,  // Drop the user's cached API responses
+ *   accounts, // Every linked account: [{ provider, label, user, active }]
+ *   forProvider(name),  // The same for another linked account (null if not linked)
+ * }
+ *
+ * Also sets res.locals.loginPath to the active provider's login route and
+ * res.locals.logoutPath to the logout route.
+ */
+function loadAuth() {
+  return (req, res, next) => {
+    const settings = getAuthSettings(req.app);
+    const { providers, providerLoginPath, logoutPath, defaultProvider } = settings;
+    const forProvider = (name) => accountView(req, settings, name);
+    const active = forProvider(req.session.activeProvider);
+
+    res.locals.loginPath = providerLoginPath(active ? active.provider : defaultProvider);
+    res.locals.logoutPath = logoutPath;
+    if (!active) {
+      req.insforge = null;
+      return next();
+    }
+
+    const accounts = Object.entries(getAccounts(req))
+      .filter(([name]) => providers.has(name))
+      .map(([name, account]) => ({
+        provider: name,
+        label: providers.get(name).label,
+        user: account.user || null,
+        active: name === active.provider,
+      }));
+    req.insforge = { ...active, accounts, forProvider };
+    next();
+  };
+}
+
+/**
+ * Only let logged-in users with the given scopes through
+ *
+ * - Browser page requests are redirected to login, asking for the missing
+ *   scopes (incremental authorization when already logged in)
+ * - Everything else fails with SessionExpiredError (401) or
+ *   InsufficientScopeError (403) for the error handler
+ */
+function requireAuth({ scopes = [] } = {}) {
+  const load = loadAuth();
+
+  return (req, res, next) => load(req, res, () => {
+    const missingScopes = req.insforge
+      ? scopes.filter((scope) => !req.insforge.scopes.includes(scope))
+      : scopes;
+
+    if (req.insforge && missingScopes.length === 0) {
+      return next();
+    }
+
+    if (req.accepts(['json', 'html']) === 'html') {
+      const { loginPath } = res.locals;
+      // Come back to this page after login (a form post can't be replayed)
+      const returnTo = req.method === 'GET' ? req.originalUrl : undefined;
+      return res.redirect(loginUrl(loginPath, { scopes: missingScopes, returnTo }));
+    }
+
+    next(req.insforge ? new InsufficientScopeError(missingScopes) : new SessionExpiredError());
+  });
+}
+
+module.exports = {
+  insforgeAuth,
+  loadAuth,
+  requireAuth,
+  logout,
+  unlinkAccount,
+};
@@ -0,0 +1,543 @@
+/**
+ * InsForge OAuth Client
+ *
+ * Reusable client for the InsForge OAuth 2.0 authorization server:
+ * authorization URLs with PKCE, code exchange, the device authorization
+ * and client credentials grants, refresh, revocation and the user profile.
+ *
+ * With `oidc: true` it acts as an OpenID Connect relying party: endpoints
+ * come from the issuer's discovery document, the `openid` scope and a nonce
+ * are requested, and the id_token is verified (see oidc.js). If discovery
+ * fails, the built-in InsForge endpoints are used as plain OAuth 2.0.
+ *
+ * Usage:
+ *   const client = new InsForgeOAuthClient({
+ *     baseUrl: 'http://localhost:3000',
+ *     clientId: 'abc123',
+ *     clientSecret: 'secret_xyz789',
+ *     redirectUri: 'http://localhost:4000/auth/callback',
+ *     scopes: 'user:read organizations:read',
+ *   });
+ *
+ *   const { url, state, codeVerifier, nonce } = await client.buildAuthorizationUrl();
+ *   // ...redirect to url, then in the callback:
+ *   const tokens = await client.exchangeCode({ code, codeVerifier, nonce });
+ */
+
+const crypto = require('crypto');
+const { OAuthError, InvalidGrantError, UpstreamError, IdTokenError } = require('./errors');
+const { discoverMetadata, JwksCache, verifyIdToken } = require('./oidc');
+const { ClientAuth } = require('./client-auth');
+
+// How long a successful refresh is shared with callers holding the old refresh token
+const REFRESH_GRACE_MS = 30 * 1000;
+
+// Discovery results are reused this long; a failed discovery is retried sooner
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const DISCOVERY_RETRY_MS = 60 * 1000;
+
+// RFC 8628 grant type for polling with a device code
+const DEVICE_CODE_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:device_code';
+
+// =============================================================================
+// PKCE Helpers
+// =============================================================================
+
+/**
+ * Generate a random code verifier for PKCE
+ */
+function generateCodeVerifier() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Generate code challenge from verifier (SHA256)
+ */
+function generateCodeChallenge(verifier) {
+  return crypto.createHash('sha256').update(verifier).digest('base64url');
+}
+
+/**
+ * Generate random state for CSRF protection
+ */
+function generateState() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+// =============================================================================
+// Client
+// =============================================================================
+
+/**
+ * @typedef {Object} TokenResponse
+ * @property {string} access_token
+ * @property {string} [refresh_token]
+ * @property {number} [expires_in]  Lifetime of the access token in seconds
+ * @property {string} [scope]       Granted scopes (space separated)
+ * @property {string} [token_type]
+ * @property {string} [id_token]    OpenID Connect ID token
+ * @property {Object} [claims]      Verified id_token claims (OIDC mode, set by exchangeCode)
+ */
+
+/**
+ * @typedef {Object} DeviceAuthorization
+ * @property {string} device_code
+ * @property {string} user_code                  What the user enters at verification_uri
+ * @property {string} verification_uri
+ * @property {string} [verification_uri_complete]  verification_uri with the user_code filled in
+ * @property {number} expires_in                 Lifetime of the codes in seconds
+ * @property {number} interval                   Seconds to wait between polls (default 5)
+ */
+
+/**
+ * @typedef {Object} Endpoints
+ * @property {boolean} oidc           Whether discovery succeeded (id_tokens can be verified)
+ * @property {string} issuer
+ * @property {string} authorization
+ * @property {string} token
+ * @property {string} revocation
+ * @property {string} deviceAuthorization
+ * @property {string} [userinfo]
+ * @property {JwksCache} [jwks]
+ */
+
+class InsForgeOAuthClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseUrl       InsForge URL (e.g. http://localhost:3000)
+   * @param {string} options.clientId
+   * @param {'public'|'confidential'} [options.clientType]
+   *   Public clients send no secret (PKCE only). Default: confidential when a
+   *   secret or private key is given
+   * @param {string} [options.tokenEndpointAuthMethod]
+   *   none, client_secret_basic, client_secret_post or private_key_jwt (see client-auth.js)
+   * @param {string} [options.clientSecret]
+   * @param {import('crypto').KeyLike} [options.privateKey]  For private_key_jwt
+   * @param {string} [options.privateKeyId]                  kid of the registered public key
+   * @param {string} [options.privateKeyAlg]                 Default RS256
+   * @param {string} options.redirectUri   Must match a registered redirect_uri
+   * @param {string} [options.scopes]      Default scopes (space separated)
+   * @param {boolean} [options.oidc]       Use OpenID Connect (discovery, id_token validation)
+   * @param {string} [options.issuer]      OIDC issuer (default: baseUrl)
+   * @param {typeof fetch} [options.fetch] Custom fetch implementation
+   */
+  constructor({
+    baseUrl,
+    clientId,
+    clientType,
+    tokenEndpointAuthMethod,
+    clientSecret,
+    privateKey,
+    privateKeyId,
+    privateKeyAlg,
+    redirectUri,
+    scopes = '',
+    oidc = false,
+    issuer,
+    fetch = globalThis.fetch,
+  }) {
+    if (!baseUrl) throw new TypeError('baseUrl is required');
+    if (!clientId) throw new TypeError('clientId is required');
+
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.clientId = clientId;
+    this.clientAuth = new ClientAuth({
+      clientId,
+      clientType,
+      method: tokenEndpointAuthMethod,
+      clientSecret,
+      privateKey,
+      privateKeyId,
+      privateKeyAlg,
+    });
+    this.redirectUri = redirectUri;
+    this.scopes = scopes;
+    this.oidc = oidc;
+    this.issuer = (issuer || this.baseUrl).replace(/\/+$/, '');
+    this.fetch = fetch;
+
+    // Used without OIDC, or when discovery fails
+    this.builtInEndpoints = {
+      oidc: false,
+      issuer: this.baseUrl,
+      authorization: `${this.baseUrl}/api/oauth/v1/authorize`,
+      token: `${this.baseUrl}/api/oauth/v1/token`,
+      revocation: `${this.baseUrl}/api/oauth/v1/revoke`,
+      deviceAuthorization: `${this.baseUrl}/api/oauth/v1/device/authorize`,
+    };
+    this.discovery = null;
+
+    // Refreshes keyed by the refresh token being redeemed (see refresh())
+    this.refreshes = new Map();
+  }
+
+  /**
+   * Resolve the endpoints to use
+   *
+   * In OIDC mode they come from discovery (cached for an hour). If the
+   * discovery document can't be loaded, the built-in endpoints are used and
+   * discovery is retried a minute later.
+   *
+   * @returns {Promise<Endpoints>}
+   */
+  getEndpoints() {
+    if (!this.oidc) {
+      return Promise.resolve(this.builtInEndpoints);
+    }
+    if (this.discovery && this.discovery.expiresAt > Date.now()) {
+      return this.discovery.endpoints;
+    }
+
+    const previousJwks = this.discovery?.jwks;
+    const discovery = { expiresAt: Date.now() + DISCOVERY_TTL_MS };
+    discovery.endpoints = discoverMetadata(this.issuer, { fetch: (url, options) => this.send(url, options) })
+      .then((metadata) => ({
+        oidc: true,
+        issuer: metadata.issuer,
+        authorization: metadata.authorization_endpoint,
+        token: metadata.token_endpoint,
+        revocation: metadata.revocation_endpoint || this.builtInEndpoints.revocation,
+        deviceAuthorization: metadata.device_authorization_endpoint || this.builtInEndpoints.deviceAuthorization,
+        userinfo: metadata.userinfo_endpoint,
+        // Keep the key cache (and its keys) while the jwks_uri is unchanged
+        jwks: previousJwks?.uri === metadata.jwks_uri
+          ? previousJwks
+          : new JwksCache({ uri: metadata.jwks_uri, fetch: (url, options) => this.send(url, options) }),
+      }))
+      .then((endpoints) => {
+        discovery.jwks = endpoints.jwks;
+        return endpoints;
+      })
+      .catch((err) => {
+        console.warn(`[oidc] Discovery failed, using built-in endpoints: ${err.message}`);
+        discovery.expiresAt = Date.now() + DISCOVERY_RETRY_MS;
+        return this.builtInEndpoints;
+      });
+
+    this.discovery = discovery;
+    return discovery.endpoints;
+  }
+
+  /**
+   * Build the /authorize URL for a new login
+   *
+   * Returns the state, code verifier and (in OIDC mode) nonce to keep until
+   * the callback. With includeGrantedScopes, `scope` only lists the extra
+   * scopes to ask for and the new token also covers those granted before
+   * (incremental authorization). `redirectUri` overrides the configured one
+   * (e.g. a loopback URL for desktop apps); pass it to exchangeCode() too.
+   */
+  async buildAuthorizationUrl({
+    scope = this.scopes,
+    state = generateState(),
+    codeVerifier = generateCodeVerifier(),
+    nonce = generateState(),
+    includeGrantedScopes = false,
+    redirectUri = this.redirectUri,
+  } = {}) {
+    const endpoints = await this.getEndpoints();
+    const scopes = scope.split(' ').filter(Boolean);
+
+    const url = new URL(endpoints.authorization);
+    url.searchParams.set('client_id', this.clientId);
+    url.searchParams.set('redirect_uri', redirectUri);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('state', state);
+    url.searchParams.set('code_challenge', generateCodeChallenge(codeVerifier));
+    url.searchParams.set('code_challenge_method', 'S256');
+
+    if (endpoints.oidc) {
+      if (!scopes.includes('openid')) {
+        scopes.unshift('openid');
+      }
+      url.searchParams.set('nonce', nonce);
+    }
+    url.searchParams.set('scope', scopes.join(' '));
+    if (includeGrantedScopes) {
+      url.searchParams.set('include_granted_scopes', 'true');
+    }
+
+    return { url: url.toString(), state, codeVerifier, nonce: endpoints.oidc ? nonce : undefined };
+  }
+
+  /**
+   * Exchange an authorization code for tokens
+   *
+   * In OIDC mode the id_token is required and verified; its claims are
+   * returned as `tokens.claims`. Pass the nonce from buildAuthorizationUrl().
+   *
+   * @returns {Promise<TokenResponse>}
+   * @throws {IdTokenError} if the id_token is missing or invalid
+   */
+  async exchangeCode({ code, codeVerifier, nonce, redirectUri = this.redirectUri }) {
+    const tokens = await this.tokenRequest({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      code_verifier: codeVerifier, // PKCE: proves we started the flow
+    });
+
+    return this.verifyTokens(tokens, { nonce, required: true });
+  }
+
+  /**
+   * Start a device authorization (RFC 8628)
+   *
+   * For devices that can't receive a redirect: show the user_code and
+   * verification_uri to the user, then poll pollDeviceToken() every
+   * `interval` seconds until they approve (see cli-auth.js).
+   *
+   * @returns {Promise<DeviceAuthorization>}
+   */
+  async requestDeviceCode({ scope = this.scopes } = {}) {
+    const { deviceAuthorization, token, oidc } = await this.getEndpoints();
+    const scopes = scope.split(' ').filter(Boolean);
+    if (oidc && !scopes.includes('openid')) {
+      scopes.unshift('openid');
+    }
+
+    const auth = this.clientAuth.apply(token);
+    const response = await this.send(deviceAuthorization, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...auth.headers,
+      },
+      body: JSON.stringify({
+        scope: scopes.join(' '),
+        ...auth.params,
+      }),
+    });
+
+    const body = await readJson(response);
+    if (!response.ok || body.error) {
+      throw toError(response, body);
+    }
+    if (!body.device_code || !body.user_code || !body.verification_uri) {
+      throw new UpstreamError('InsForge sent an incomplete device authorization response');
+    }
+    return { interval: 5, ...body };
+  }
+
+  /**
+   * Poll for the tokens of a device authorization, once
+   *
+   * Until the user decides, this throws OAuthError with `error` set to
+   * authorization_pending (poll again) or slow_down (poll again, 5 seconds
+   * later than before). access_denied and expired_token are final.
+   *
+   * @returns {Promise<TokenResponse>}
+   */
+  async pollDeviceToken(deviceCode) {
+    const tokens = await this.tokenRequest({
+      grant_type: DEVICE_CODE_GRANT_TYPE,
+      device_code: deviceCode,
+    });
+    return this.verifyTokens(tokens, { required: false });
+  }
+
+  /**
+   * Get a token for the app itself, with no user (client credentials grant)
+   *
+   * For backend jobs. Only confidential clients can use it; the response has
+   * no refresh token, so ask again when it expires (see service-tokens.js).
+   *
+   * @param {Object} [options]
+   * @param {string} [options.scope]  Scopes to ask for (default: whatever InsForge grants the client)
+   * @returns {Promise<TokenResponse>}
+   */
+  async clientCredentials({ scope } = {}) {
+    if (this.clientAuth.clientType !== 'confidential') {
+      throw new TypeError('The client_credentials grant needs a confidential client');
+    }
+    return this.tokenRequest({
+      grant_type: 'client_credentials',
+      ...(scope && { scope }),
+    });
+  }
+
+  /**
+   * In OIDC mode, verify the id_token and add its claims as `tokens.claims`
+   *
+   * @throws {IdTokenError} if the id_token is invalid, or missing when required
+   */
+  async verifyTokens(tokens, { nonce, required }) {
+    const endpoints = await this.getEndpoints();
+    if (!endpoints.oidc || (!tokens.id_token && !required)) {
+      return tokens;
+    }
+    if (!tokens.id_token) {
+      throw new IdTokenError('The token response has no id_token');
+    }
+
+    const claims = await verifyIdToken(tokens.id_token, {
+      jwks: endpoints.jwks,
+      issuer: endpoints.issuer,
+      audience: this.clientId,
+      nonce,
+    });
+    return { ...tokens, claims };
+  }
+
+  /**
+   * Redeem a refresh token for new tokens
+   *
+   * Concurrent calls with the same refresh token share one request, so a
+   * rotating refresh token is only used once. New tokens are kept briefly for
+   * callers still holding the old refresh token (e.g. a session loaded before
+   * they were saved); a failure is forgotten at once, so the next call retries.
+   *
+   * @returns {Promise<TokenResponse>}
+   * @throws {InvalidGrantError} if the refresh token was rejected
+   */
+  refresh(refreshToken) {
+    let pending = this.refreshes.get(refreshToken);
+    if (pending) {
+      return pending;
+    }
+
+    pending = this.tokenRequest({
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken,
+    });
+    this.refreshes.set(refreshToken, pending);
+
+    const forget = () => {
+      if (this.refreshes.get(refreshToken) === pending) {
+        this.refreshes.delete(refreshToken);
+      }
+    };
+    pending.then(() => setTimeout(forget, REFRESH_GRACE_MS).unref(), forget);
+
+    return pending;
+  }
+
+  /**
+   * Revoke an access or refresh token (RFC 7009)
+   * The server answers 200 even for tokens that are already invalid.
+   */
+  async revoke(token, tokenTypeHint) {
+    const { revocation, token: tokenEndpoint } = await this.getEndpoints();
+    const { headers, params } = this.clientAuth.apply(tokenEndpoint);
+    const response = await this.send(revocation, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...headers,
+      },
+      body: JSON.stringify({
+        token,
+        token_type_hint: tokenTypeHint,
+        ...params,
+      }),
+    });
+
+    if (!response.ok) {
+      const body = await readJson(response).catch(() => ({}));
+      throw toError(response, body);
+    }
+  }
+
+  /**
+   * Fetch the profile of the user the access token belongs to
+   *
+   * Uses the OIDC userinfo endpoint when discovery provides one (its `sub`
+   * becomes `id`), otherwise InsForge's /auth/v1/profile.
+   */
+  async getProfile(accessToken) {
+    const { userinfo } = await this.getEndpoints();
+    const response = await this.send(userinfo || `${this.baseUrl}/auth/v1/profile`, {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+      },
+    });
+
+    const body = await readJson(response);
+    if (!response.ok) {
+      throw toError(response, body);
+    }
+    return userinfo ? { id: body.sub, ...body } : body.user;
+  }
+
+  /**
+   * POST to the token endpoint, authenticated with the configured method
+   */
+  async tokenRequest(params) {
+    const { token } = await this.getEndpoints();
+    const auth = this.clientAuth.apply(token);
+    const response = await this.send(token, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...auth.headers,
+      },
+      body: JSON.stringify({
+        ...params,
+        ...auth.params,
+      }),
+    });
+
+    const tokens = await readJson(response);
+    if (!response.ok || tokens.error || !tokens.access_token) {
+      throw toError(response, tokens);
+    }
+    return tokens;
+  }
+
+  /**
+   * fetch() that reports network failures as UpstreamError
+   */
+  async send(url, options) {
+    try {
+      return await this.fetch(url, options);
+    } catch (err) {
+      // Report the caller's abort reason (e.g. a timeout) as-is
+      if (options?.signal?.aborted) {
+        throw options.signal.reason;
+      }
+      throw new UpstreamError(`InsForge is unreachable: ${err.message}`, { cause: err });
+    }
+  }
+}
+
+/**
+ * Parse a JSON response body, reporting anything else as UpstreamError
+ */
+async function readJson(response) {
+  const text = await response.text();
+  try {
+    return text ? JSON.parse(text) : {};
+  } catch (err) {
+    throw new UpstreamError(`InsForge sent a non-JSON response (status ${response.status})`, {
+      status: response.status,
+      cause: err,
+    });
+  }
+}
+
+/**
+ * Map an error response to the matching error class
+ */
+function toError(response, body) {
+  const { status } = response;
+
+  if (status >= 500) {
+    return new UpstreamError(`InsForge responded with status ${status}`, { status });
+  }
+
+  const error = body.error || 'invalid_response';
+  const description = body.error_description || body.message;
+
+  if (error === 'invalid_grant') {
+    return new InvalidGrantError(description, { status });
+  }
+  return new OAuthError(error, description, { status });
+}
+
+module.exports = {
+  DEVICE_CODE_GRANT_TYPE,
+  InsForgeOAuthClient,
+  generateCodeVerifier,
+  generateCodeChallenge,
+  generateState,
+};
@@ -0,0 +1,239 @@
+/**
+ * OpenID Connect Helpers
+ *
+ * Used by InsForgeOAuthClient when `oidc: true`:
+ *
+ *   discoverMetadata()  Reads /.well-known/openid-configuration
+ *   JwksCache           Issuer signing keys, cached and refetched on rotation
+ *   verifyIdToken()     Checks the id_token signature, iss, aud, exp and nonce
+ *
+ * Signatures are checked with jws.js: RS*, PS*, ES* and EdDSA are supported.
+ * Unsigned tokens (alg "none") and symmetric algorithms are refused.
+ */
+
+const crypto = require('crypto');
+const { getAlgorithm, verifySignature } = require('./jws');
+const { IdTokenError, UpstreamError } = require('./errors');
+
+const DISCOVERY_PATH = '/.well-known/openid-configuration';
+
+/**
+ * @typedef {Object} ProviderMetadata
+ * @property {string} issuer
+ * @property {string} authorization_endpoint
+ * @property {string} token_endpoint
+ * @property {string} jwks_uri
+ * @property {string} [userinfo_endpoint]
+ * @property {string} [revocation_endpoint]
+ * @property {string} [end_session_endpoint]
+ */
+
+// =============================================================================
+// Discovery
+// =============================================================================
+
+/**
+ * Fetch the issuer's OpenID Provider metadata
+ *
+ * @param {string} issuer
+ * @param {Object} options
+ * @param {typeof fetch} options.fetch
+ * @returns {Promise<ProviderMetadata>}
+ * @throws {UpstreamError} if the document is missing, invalid or for another issuer
+ */
+async function discoverMetadata(issuer, { fetch }) {
+  const url = `${issuer.replace(/\/+$/, '')}${DISCOVERY_PATH}`;
+  const response = await fetch(url, { headers: { 'Accept': 'application/json' } });
+  if (!response.ok) {
+    throw new UpstreamError(`${url} responded with status ${response.status}`, { status: response.status });
+  }
+
+  let metadata;
+  try {
+    metadata = await response.json();
+  } catch (err) {
+    throw new UpstreamError(`${url} is not JSON`, { cause: err });
+  }
+
+  for (const field of ['issuer', 'authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+    if (typeof metadata[field] !== 'string') {
+      throw new UpstreamError(`${url} has no ${field}`);
+    }
+  }
+  // The document must describe the issuer it was fetched from
+  if (metadata.issuer.replace(/\/+$/, '') !== issuer.replace(/\/+$/, '')) {
+    throw new UpstreamError(`${url} is for issuer ${metadata.issuer}, expected ${issuer}`);
+  }
+  return metadata;
+}
+
+// =============================================================================
+// Signing Keys
+// =============================================================================
+
+class JwksCache {
+  /**
+   * @param {Object} options
+   * @param {string} options.uri                     jwks_uri from discovery
+   * @param {typeof fetch} options.fetch
+   * @param {number} [options.ttlMs]                 How long keys are reused (default 10 minutes)
+   * @param {number} [options.minRefreshIntervalMs]  Limit on refetches for unknown key ids (default 5s)
+   */
+  constructor({ uri, fetch, ttlMs = 10 * 60 * 1000, minRefreshIntervalMs = 5 * 1000 }) {
+    this.uri = uri;
+    this.fetch = fetch;
+    this.ttlMs = ttlMs;
+    this.minRefreshIntervalMs = minRefreshIntervalMs;
+    this.keys = null;
+    this.fetchedAt = 0;
+    this.pending = null;
+  }
+
+  /**
+   * Find the public key for a token header
+   *
+   * An unknown kid usually means the issuer rotated its keys, so the set is
+   * refetched once (at most every minRefreshIntervalMs).
+   *
+   * @returns {Promise<crypto.KeyObject>}
+   * @throws {IdTokenError} if no key matches, or the matching one is malformed
+   */
+  async getKey({ kid, alg }) {
+    const { kty } = getAlgorithm(alg);
+    const find = (keys) => keys.find((jwk) => (
+      jwk.kty === kty
+      && (!kid || jwk.kid === kid)
+      && (!jwk.use || jwk.use === 'sig')
+      && (!jwk.alg || jwk.alg === alg)
+    ));
+
+    let jwk = find(await this.load());
+    if (!jwk && Date.now() - this.fetchedAt >= this.minRefreshIntervalMs) {
+      jwk = find(await this.load({ force: true }));
+    }
+    if (!jwk) {
+      throw new IdTokenError(`No ${alg} signing key${kid ? ` with kid "${kid}"` : ''} in ${this.uri}`);
+    }
+    try {
+      return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    } catch (err) {
+      throw new IdTokenError(`Invalid ${alg} signing key${kid ? ` "${kid}"` : ''} in ${this.uri}`, { cause: err });
+    }
+  }
+
+  /**
+   * The cached key set, fetched when missing or older than the TTL
+   * Concurrent callers share one request.
+   */
+  load({ force = false } = {}) {
+    if (!force && this.keys && Date.now() - this.fetchedAt < this.ttlMs) {
+      return Promise.resolve(this.keys);
+    }
+    if (!this.pending) {
+      this.pending = this.fetchKeys().finally(() => {
+        this.pending = null;
+      });
+    }
+    return this.pending;
+  }
+
+  async fetchKeys() {
+    const response = await this.fetch(this.uri, { headers: { 'Accept': 'application/json' } });
+    if (!response.ok) {
+      throw new UpstreamError(`${this.uri} responded with status ${response.status}`, { status: response.status });
+    }
+
+    const body = await response.json().catch(() => ({}));
+    if (!Array.isArray(body.keys)) {
+      throw new UpstreamError(`${this.uri} is not a JWK set`);
+    }
+
+    this.keys = body.keys;
+    this.fetchedAt = Date.now();
+    return this.keys;
+  }
+}
+
+// =============================================================================
+// ID Token Validation
+// =============================================================================
+
+function decodePart(part, name) {
+  try {
+    return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+  } catch {
+    throw new IdTokenError(`Malformed id_token ${name}`);
+  }
+}
+
+/**
+ * Verify an id_token and return its claims
+ *
+ * @param {string} idToken
+ * @param {Object} options
+ * @param {JwksCache} options.jwks
+ * @param {string} options.issuer            Expected iss
+ * @param {string} options.audience          Expected aud (the client id)
+ * @param {string} [options.nonce]           Expected nonce (sent with the authorization request)
+ * @param {number} [options.clockToleranceSec]  Allowed clock skew (default 60)
+ * @returns {Promise<Object>} The token's claims
+ * @throws {IdTokenError} if any check fails
+ */
+async function verifyIdToken(idToken, { jwks, issuer, audience, nonce, clockToleranceSec = 60 }) {
+  const parts = typeof idToken === 'string' ? idToken.split('.') : [];
+  if (parts.length !== 3) {
+    throw new IdTokenError('Malformed id_token');
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+  const header = decodePart(encodedHeader, 'header');
+  const claims = decodePart(encodedPayload, 'payload');
+
+  if (!getAlgorithm(header.alg)) {
+    throw new IdTokenError(`Unsupported id_token algorithm "${header.alg}"`);
+  }
+
+  const key = await jwks.getKey(header);
+  let valid;
+  try {
+    valid = verifySignature(`${encodedHeader}.${encodedPayload}`, encodedSignature, key, header.alg);
+  } catch (err) {
+    // e.g. a key that doesn't suit the algorithm
+    throw new IdTokenError('The id_token signature could not be checked', { cause: err });
+  }
+  if (!valid) {
+    throw new IdTokenError('Invalid id_token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+
+  if (claims.iss !== issuer) {
+    throw new IdTokenError(`id_token issuer "${claims.iss}" does not match "${issuer}"`);
+  }
+  if (!audiences.includes(audience)) {
+    throw new IdTokenError('id_token was not issued for this client');
+  }
+  if (audiences.length > 1 && claims.azp !== audience) {
+    throw new IdTokenError('id_token authorized party does not match this client');
+  }
+  if (typeof claims.exp !== 'number' || claims.exp + clockToleranceSec < now) {
+    throw new IdTokenError('id_token has expired');
+  }
+  if (typeof claims.iat === 'number' && claims.iat - clockToleranceSec > now) {
+    throw new IdTokenError('id_token was issued in the future');
+  }
+  if (nonce !== undefined && claims.nonce !== nonce) {
+    throw new IdTokenError('id_token nonce does not match the login request');
+  }
+  if (typeof claims.sub !== 'string' || !claims.sub) {
+    throw new IdTokenError('id_token has no subject');
+  }
+  return claims;
+}
+
+module.exports = {
+  discoverMetadata,
+  JwksCache,
+  verifyIdToken,
+};
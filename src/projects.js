@@ -0,0 +1,172 @@
+/**
+ * Project Management Routes
+ *
+ * The JSON API behind the dashboard's project controls (public/app.js), and
+ * plain form posts doing the same when scripts are off:
+ *
+ *   GET    /api/projects?organizationId=          List an organization's projects
+ *   POST   /api/projects                          Create { organizationId, name, region }
+ *   PATCH  /api/projects/:projectId               Update { name, region }
+ *   DELETE /api/projects/:projectId               Delete
+ *   POST   /api/projects/:projectId/api-key/rotate  Replace the access API key
+ *
+ *   POST /organizations/:orgId/projects           Create (form)
+ *   POST /projects/:projectId                     Update (form)
+ *   POST /projects/:projectId/delete              Delete (form)
+ *   POST /projects/:projectId/api-key/rotate      Rotate the key (form)
+ *
+ * Changes need projects:write and, like every POST, a CSRF token (csrf.js).
+ * They are audit-logged and drop the user's cached API responses.
+ */
+
+const express = require('express');
+const { requireAuth } = require('./middleware');
+const { httpError } = require('./error-handler');
+const { audit } = require('./audit');
+
+const NAME_MAX_LENGTH = 64;
+
+// InsForge checks the region itself; this only keeps junk out of the request
+const REGION_PATTERN = /^[a-z0-9-]{2,32}$/;
+
+/**
+ * Validate a create or update request body
+ *
+ * @param {Object} body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial]  Update: every field is optional, but one is needed
+ * @returns {import('./api-client').ProjectInput}
+ */
+function projectInput(body = {}, { partial = false } = {}) {
+  const input = {};
+
+  if (!partial || body.name !== undefined) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > NAME_MAX_LENGTH) {
+      throw httpError(400, `A project needs a name of at most ${NAME_MAX_LENGTH} characters.`);
+    }
+    input.name = name;
+  }
+  if (body.region !== undefined && body.region !== '') {
+    if (typeof body.region !== 'string' || !REGION_PATTERN.test(body.region)) {
+      throw httpError(400, 'Invalid region.');
+    }
+    input.region = body.region;
+  }
+
+  if (Object.keys(input).length === 0) {
+    throw httpError(400, 'Nothing to update.');
+  }
+  return input;
+}
+
+function requiredString(value, name) {
+  if (typeof value !== 'string' || !value) {
+    throw httpError(400, `${name} is required.`);
+  }
+  return value;
+}
+
+// =============================================================================
+// Operations
+// =============================================================================
+
+// Shared by the JSON routes and the forms
+
+async function createProject(req, organizationId, body) {
+  const project = await req.insforge.api.createProject(organizationId, projectInput(body));
+  audit(req, 'project.create', { organizationId, projectId: project.id });
+  await req.insforge.invalidateCache();
+  return project;
+}
+
+async function updateProject(req, projectId, body) {
+  const changes = projectInput(body, { partial: true });
+  const project = await req.insforge.api.updateProject(projectId, changes);
+  audit(req, 'project.update', { projectId, fields: Object.keys(changes) });
+  await req.insforge.invalidateCache();
+  return project;
+}
+
+async function deleteProject(req, projectId) {
+  await req.insforge.api.deleteProject(projectId);
+  audit(req, 'project.delete', { projectId });
+  await req.insforge.invalidateCache();
+}
+
+async function rotateApiKey(req, projectId) {
+  // The new key is not returned: it is revealed like any other key
+  await req.insforge.api.rotateProjectApiKey(projectId);
+  audit(req, 'secret.rotate', { secret: 'project_api_key', projectId });
+}
+
+// =============================================================================
+// Routes
+// =============================================================================
+
+/**
+ * Wrap an async handler, passing failures to the error handler
+ */
+const handle = (fn) => (req, res, next) => fn(req, res).catch(next);
+
+function projectRoutes() {
+  const router = express.Router();
+  const canRead = requireAuth({ scopes: ['projects:read'] });
+  const canWrite = requireAuth({ scopes: ['projects:write'] });
+
+  // --- JSON API ---------------------------------------------------------------
+
+  router.get('/api/projects', canRead, handle(async (req, res) => {
+    const organizationId = requiredString(req.query.organizationId, 'organizationId');
+    res.json({ projects: await req.insforge.api.listProjects(organizationId) });
+  }));
+
+  router.post('/api/projects', canWrite, handle(async (req, res) => {
+    const organizationId = requiredString(req.body?.organizationId, 'organizationId');
+    const project = await createProject(req, organizationId, req.body);
+    res.status(201).json({ project });
+  }));
+
+  router.patch('/api/projects/:projectId', canWrite, handle(async (req, res) => {
+    res.json({ project: await updateProject(req, req.params.projectId, req.body) });
+  }));
+
+  router.delete('/api/projects/:projectId', canWrite, handle(async (req, res) => {
+    await deleteProject(req, req.params.projectId);
+    res.status(204).end();
+  }));
+
+  router.post('/api/projects/:projectId/api-key/rotate', canWrite, handle(async (req, res) => {
+    await rotateApiKey(req, req.params.projectId);
+    res.status(204).end();
+  }));
+
+  // --- Forms (no JavaScript) --------------------------------------------------
+
+  router.post('/organizations/:orgId/projects', canWrite, handle(async (req, res) => {
+    await createProject(req, req.params.orgId, req.body);
+    res.redirect('/');
+  }));
+
+  router.post('/projects/:projectId', canWrite, handle(async (req, res) => {
+    await updateProject(req, req.params.projectId, req.body);
+    res.redirect('/');
+  }));
+
+  router.post('/projects/:projectId/delete', canWrite, handle(async (req, res) => {
+    await deleteProject(req, req.params.projectId);
+    res.redirect('/');
+  }));
+
+  router.post('/projects/:projectId/api-key/rotate', canWrite, handle(async (req, res) => {
+    await rotateApiKey(req, req.params.projectId);
+    res.redirect('/');
+  }));
+
+  return router;
+}
+
+module.exports = {
+  projectRoutes,
+  projectInput,
+};
@@ -0,0 +1,73 @@
+/**
+ * InsForge Providers
+ *
+ * A provider is one InsForge instance and the client registered there
+ * (staging, production, a customer's own instance...). insforgeAuth() can
+ * offer several; each has a name used in its routes (/auth/<name>/login) and
+ * as the key of its linked account in the session.
+ *
+ * Provider files list them by name, with the same settings as the
+ * environment (see config.js), in JSON or YAML:
+ *
+ *   providers:
+ *     staging:
+ *       INSFORGE_LABEL: Staging
+ *       INSFORGE_URL: https://staging.insforge.example
+ *       INSFORGE_CLIENT_ID: abc123
+ *     production:
+ *       INSFORGE_URL: https://insforge.example
+ *       INSFORGE_CLIENT_ID: def456
+ */
+
+const fs = require('fs');
+const YAML = require('yaml');
+
+// Name of the only provider when none are configured
+const DEFAULT_PROVIDER = 'insforge';
+
+// Lowercase, so it fits in a URL path and, uppercased, in an env prefix
+const PROVIDER_NAME_PATTERN = /^[a-z][a-z0-9-]{0,31}$/;
+
+/**
+ * Environment variable prefix of a provider's settings ('staging' → 'STAGING_')
+ */
+function providerEnvPrefix(name) {
+  return `${name.toUpperCase().replace(/-/g, '_')}_`;
+}
+
+/**
+ * Read the providers of a JSON or YAML file (by extension: .yaml/.yml or JSON)
+ *
+ * @returns {Object<string, Object>} Settings by provider name, in file order
+ * @throws {Error} if the file can't be read or parsed, or lists an invalid provider
+ */
+function readProvidersFile(file) {
+  let data;
+  try {
+    const text = fs.readFileSync(file, 'utf8');
+    data = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+  } catch (err) {
+    throw new Error(`can't be read (${err.code || err.message})`);
+  }
+
+  const providers = data?.providers;
+  if (!providers || typeof providers !== 'object' || Array.isArray(providers)) {
+    throw new Error('must have a "providers" object, keyed by provider name');
+  }
+  for (const [name, settings] of Object.entries(providers)) {
+    if (!PROVIDER_NAME_PATTERN.test(name)) {
+      throw new Error(`has an invalid provider name "${name}" (lowercase letters, digits and dashes)`);
+    }
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      throw new Error(`provider "${name}" must be an object of settings`);
+    }
+  }
+  return providers;
+}
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  PROVIDER_NAME_PATTERN,
+  providerEnvPrefix,
+  readProvidersFile,
+};
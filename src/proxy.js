@@ -0,0 +1,190 @@
+/**
+ * InsForge API Proxy (backend-for-frontend)
+ *
+ * Forwards browser requests to InsForge with the session's access token, so
+ * a single-page app can call the InsForge API without ever seeing a token:
+ *
+ *   GET /api/insforge/organizations/v1  →  GET {INSFORGE_URL}/organizations/v1
+ *                                          Authorization: Bearer <session token>
+ *
+ * Only allowlisted methods and paths are forwarded, each needing its own
+ * scopes. Bodies are streamed both ways, so mount it before the body parsers:
+ *
+ *   app.use(createSession({ ... }));
+ *   app.use('/api/insforge', insforgeProxy());
+ *   app.use(express.json());
+ */
+
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const express = require('express');
+const { requireAuth } = require('./middleware');
+const { csrfProtection } = require('./csrf');
+const { httpError } = require('./error-handler');
+
+// Forwarded, with the scopes each needs. API keys are left out: revealing
+// one goes through GET /api/projects/:id/api-key, which is audit-logged.
+const DEFAULT_PROXY_ROUTES = [
+  { method: 'GET', path: '/auth/v1/profile', scopes: ['user:read'] },
+  { method: 'GET', path: '/organizations/v1', scopes: ['organizations:read'] },
+  { method: 'GET', path: '/organizations/v1/:orgId/projects', scopes: ['projects:read'] },
+  { method: 'POST', path: '/organizations/v1/:orgId/projects', scopes: ['projects:write'] },
+  { method: 'PATCH', path: '/projects/v1/:projectId', scopes: ['projects:write'] },
+  { method: 'DELETE', path: '/projects/v1/:projectId', scopes: ['projects:write'] },
+];
+
+// What a :param segment may contain: ids, never "..", "%2F" and the like
+const PARAM_PATTERN = '[A-Za-z0-9_-]+';
+
+// Meaningful for one connection only (RFC 9110, section 7.6.1)
+const HOP_BY_HOP_HEADERS = [
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'proxy-connection',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade',
+];
+
+// Never forwarded upstream: the session cookie, the browser's own
+// credentials and ours, and what fetch() sets itself
+const REQUEST_HEADERS_STRIPPED = new Set([
+  ...HOP_BY_HOP_HEADERS,
+  'cookie',
+  'authorization',
+  'x-csrf-token',
+  'host',
+  'content-length',
+  'accept-encoding',
+]);
+
+// Never passed back: InsForge's cookies, and framing fetch() already undid
+const RESPONSE_HEADERS_STRIPPED = new Set([
+  ...HOP_BY_HOP_HEADERS,
+  'set-cookie',
+  'set-cookie2',
+  'content-encoding',
+  'content-length',
+]);
+
+/**
+ * Turn a route's path ('/projects/v1/:projectId') into an exact-match pattern
+ */
+function compileRoute({ method, path, scopes = [] }) {
+  const source = path
+    .split('/')
+    .map((segment) => (segment.startsWith(':') ? PARAM_PATTERN : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+    .join('/');
+  return { method: method.toUpperCase(), path, scopes, pattern: new RegExp(`^${source}/?$`) };
+}
+
+/**
+ * Headers minus the stripped ones (and those named in Connection)
+ */
+function filterHeaders(entries, stripped, connection = '') {
+  const perConnection = new Set(connection.split(',').map((name) => name.trim().toLowerCase()));
+  const headers = {};
+  for (const [name, value] of entries) {
+    const lower = name.toLowerCase();
+    if (!stripped.has(lower) && !perConnection.has(lower) && value !== undefined) {
+      headers[lower] = value;
+    }
+  }
+  return headers;
+}
+
+/**
+ * Create the proxy router
+ *
+ * @param {Object} [options]
+ * @param {{ method: string, path: string, scopes?: string[] }[]} [options.routes]
+ *   Allowlist (default DEFAULT_PROXY_ROUTES); `:name` path segments match one id
+ * @param {number} [options.timeoutMs]  Wait this long for InsForge's response headers (default 30s)
+ */
+function insforgeProxy({ routes = DEFAULT_PROXY_ROUTES, timeoutMs = 30 * 1000 } = {}) {
+  const compiled = routes.map(compileRoute);
+  const guards = new Map(compiled.map((route) => [route, requireAuth({ scopes: route.scopes })]));
+  const router = express.Router();
+
+  // The body isn't parsed here, so the token must come as X-CSRF-Token
+  router.use(csrfProtection());
+
+  // Find the allowlisted route, then check login and scopes
+  router.use((req, res, next) => {
+    const matches = compiled.filter((route) => route.pattern.test(req.path));
+    const route = matches.find((candidate) => candidate.method === req.method);
+    if (!route) {
+      if (matches.length === 0) {
+        return next(httpError(404, `${req.path} is not available through the proxy`));
+      }
+      res.set('Allow', matches.map((candidate) => candidate.method).join(', '));
+      return next(httpError(405, `${req.method} is not allowed for ${req.path}`));
+    }
+    guards.get(route)(req, res, next);
+  });
+
+  router.use(async (req, res, next) => {
+    const query = req.url.includes('?') ? req.url.slice(req.url.indexOf('?')) : '';
+    const hasBody = req.method !== 'GET' && req.method !== 'HEAD' && req.method !== 'DELETE';
+
+    // Stop waiting when InsForge is slow to answer or the browser goes away
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      controller.abort(new DOMException('InsForge did not respond in time', 'TimeoutError'));
+    }, timeoutMs);
+    res.on('close', () => controller.abort());
+
+    let upstream;
+    try {
+      upstream = await req.insforge.fetch(`${req.path}${query}`, {
+        method: req.method,
+        headers: {
+          ...filterHeaders(Object.entries(req.headers), REQUEST_HEADERS_STRIPPED, req.headers.connection),
+          'x-request-id': req.id,
+        },
+        // Streamed as it arrives: a 401 is then passed on instead of retried
+        body: hasBody ? req : undefined,
+        duplex: hasBody ? 'half' : undefined,
+        signal: controller.signal,
+      });
+    } catch (err) {
+      return next(err);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    console.log(`[proxy] ${req.method} ${req.path} -> ${upstream.status}`);
+
+    if (upstream.ok && req.method !== 'GET' && req.method !== 'HEAD') {
+      // A change made through the proxy outdates the cached API responses
+      await req.insforge.invalidateCache().catch((err) => console.error('Failed to clear cache:', err));
+    }
+
+    res.status(upstream.status);
+    res.set(filterHeaders(upstream.headers, RESPONSE_HEADERS_STRIPPED, upstream.headers.get('connection') || ''));
+    // Responses depend on the user's session
+    res.set('Cache-Control', 'private, no-store');
+
+    if (!upstream.body) {
+      return res.end();
+    }
+    try {
+      await pipeline(Readable.fromWeb(upstream.body), res);
+    } catch (err) {
+      // Headers are sent: all that's left is to cut the response short
+      if (!res.writableFinished) {
+        console.error(`[proxy] ${req.method} ${req.path} response failed:`, err.message);
+      }
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  DEFAULT_PROXY_ROUTES,
+  insforgeProxy,
+};
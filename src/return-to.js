@@ -0,0 +1,81 @@
+/**
+ * Post-login Return-to URLs
+ *
+ * /auth/login?returnTo=... sends the user back to where they started. To
+ * avoid an open redirect, only these are accepted:
+ *
+ *   - Relative paths on this app ("/projects/42?tab=keys")
+ *   - Absolute URLs whose origin is on the allowlist ("https://admin.example.com")
+ *
+ * Anything else (other hosts, "//evil.com", "/\evil.com", javascript: URLs)
+ * falls back to the default.
+ */
+
+// Resolves relative paths; any value that ends up elsewhere is not same-origin
+const PLACEHOLDER_ORIGIN = 'http://return-to.invalid';
+
+const MAX_LENGTH = 2048;
+
+/**
+ * Validate a return-to value
+ *
+ * @param {*} value                   Untrusted input (e.g. req.query.returnTo)
+ * @param {Object} [options]
+ * @param {string[]} [options.allowlist]  Origins allowed for absolute URLs
+ * @param {string} [options.fallback]     Returned for missing or rejected values (default '/')
+ * @returns {string}
+ */
+function safeReturnTo(value, { allowlist = [], fallback = '/' } = {}) {
+  if (typeof value !== 'string' || value === '' || value.length > MAX_LENGTH) {
+    return fallback;
+  }
+
+  if (value.startsWith('/')) {
+    let url;
+    try {
+      url = new URL(value, PLACEHOLDER_ORIGIN);
+    } catch {
+      return fallback;
+    }
+    // "//host" and "/\host" parse as another host
+    if (url.origin !== PLACEHOLDER_ORIGIN) {
+      return fallback;
+    }
+    return `${url.pathname}${url.search}${url.hash}`;
+  }
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return fallback;
+  }
+  const allowed = (url.protocol === 'https:' || url.protocol === 'http:')
+    && allowlist.some((origin) => new URL(origin).origin === url.origin);
+  return allowed ? url.toString() : fallback;
+}
+
+/**
+ * A login URL that comes back to `returnTo`, optionally asking for more scopes
+ *
+ * @param {string} loginPath     e.g. '/auth/login'
+ * @param {Object} [options]
+ * @param {string[]} [options.scopes]
+ * @param {string} [options.returnTo]
+ */
+function loginUrl(loginPath, { scopes = [], returnTo } = {}) {
+  const params = new URLSearchParams();
+  if (scopes.length > 0) {
+    params.set('scope', scopes.join(' '));
+  }
+  if (returnTo) {
+    params.set('returnTo', returnTo);
+  }
+  const query = params.toString();
+  return query ? `${loginPath}?${query}` : loginPath;
+}
+
+module.exports = {
+  safeReturnTo,
+  loginUrl,
+};
@@ -0,0 +1,119 @@
+/**
+ * Service Tokens
+ *
+ * Access tokens for the app itself (client credentials grant), for backend
+ * jobs that run without a user session. The token is kept in memory and
+ * reused until shortly before it expires:
+ *
+ *   const tokens = new ServiceTokenProvider({ client, scope: 'organizations:read projects:read' });
+ *   const api = InsForgeApiClient.forService(tokens);
+ *   const organizations = await api.listOrganizations();
+ *
+ * The client must be confidential: its configured authentication method
+ * (client secret or private_key_jwt) is what proves who is asking.
+ */
+
+const { splitScopes, canResend, apiUrl } = require('./session-tokens');
+
+// Ask for a new token this long before the current one expires
+const DEFAULT_REFRESH_MARGIN_MS = 60 * 1000;
+
+class ServiceTokenProvider {
+  /**
+   * @param {Object} options
+   * @param {import('./oauth-client').InsForgeOAuthClient} options.client  A confidential client
+   * @param {string} [options.scope]            Scopes to ask for (default: what InsForge grants the client)
+   * @param {number} [options.refreshMarginMs]  Default 60s
+   */
+  constructor({ client, scope, refreshMarginMs = DEFAULT_REFRESH_MARGIN_MS }) {
+    if (!client) throw new TypeError('client is required');
+    if (client.clientAuth.clientType !== 'confidential') {
+      throw new TypeError('Service tokens need a confidential client');
+    }
+
+    this.client = client;
+    this.scope = scope;
+    this.refreshMarginMs = refreshMarginMs;
+    this.token = null;     // { accessToken, expiresAt, scope }
+    this.pending = null;   // Token request in flight, shared by concurrent callers
+
+    this.fetch = this.fetch.bind(this);
+  }
+
+  /**
+   * Scopes granted to the current token (the requested ones before the first)
+   */
+  get scopes() {
+    return splitScopes(this.token?.scope ?? this.scope);
+  }
+
+  /**
+   * A usable access token, requesting a new one when it is about to expire
+   * Tokens without expires_in are reused until InsForge rejects them.
+   *
+   * @returns {Promise<string>}
+   * @throws {import('./errors').OAuthError} if InsForge refuses the client
+   */
+  async getAccessToken() {
+    if (this.token && (!this.token.expiresAt || Date.now() < this.token.expiresAt - this.refreshMarginMs)) {
+      return this.token.accessToken;
+    }
+
+    if (!this.pending) {
+      this.pending = this.client.clientCredentials({ scope: this.scope })
+        .then((tokens) => {
+          this.token = {
+            accessToken: tokens.access_token,
+            expiresAt: tokens.expires_in ? Date.now() + tokens.expires_in * 1000 : null,
+            scope: tokens.scope || this.scope || '',
+          };
+          return tokens.access_token;
+        })
+        .finally(() => {
+          this.pending = null;
+        });
+    }
+    return this.pending;
+  }
+
+  /**
+   * Forget the current token; the next call requests a new one
+   */
+  invalidate() {
+    this.token = null;
+  }
+
+  /**
+   * fetch() with the service token
+   *
+   * Paths are relative to the InsForge URL (full URLs must be on InsForge,
+   * see apiUrl()). On a 401 the token is requested
+   * again and the call retried once (unless its body was a consumed stream).
+   */
+  async fetch(path, init = {}) {
+    const url = apiUrl(this.client, path);
+    const send = (token) => this.client.send(url, {
+      ...init,
+      headers: {
+        ...init.headers,
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    const accessToken = await this.getAccessToken();
+    const response = await send(accessToken);
+    if (response.status !== 401 || !canResend(init.body)) {
+      return response;
+    }
+
+    // Revoked or expired early: only replace it if nobody did so already
+    if (this.token?.accessToken === accessToken) {
+      this.invalidate();
+    }
+    return send(await this.getAccessToken());
+  }
+}
+
+module.exports = {
+  ServiceTokenProvider,
+};
@@ -0,0 +1,90 @@
+/**
+ * Session API
+ *
+ * Lets a single-page app use this server as its backend-for-frontend: the
+ * tokens stay in the server session, the browser only learns who is logged
+ * in (see public/insforge-auth.js).
+ *
+ *   GET  /api/session          The current session (never the tokens)
+ *   POST /api/session/logout   Log out, answering with JSON instead of a redirect
+ *
+ * Logout needs the CSRF token (csrf.js), which GET /api/session returns.
+ */
+
+const express = require('express');
+const { loadAuth, logout } = require('./middleware');
+const { csrfToken } = require('./csrf');
+const { getAccount } = require('./session-tokens');
+
+/**
+ * What a browser may know about the session
+ *
+ * @returns {{
+ *   authenticated: boolean,
+ *   provider: string|null,
+ *   user: Object|null,
+ *   scopes: string[],
+ *   expiresAt: string|null,
+ *   accounts: { provider: string, label: string, user: Object|null, active: boolean }[],
+ *   csrfToken: string|null,
+ * }}
+ *   provider, user, scopes and expiresAt are the active account's;
+ *   expiresAt: when the access token expires (it is refreshed on use while
+ *   the refresh token is valid); csrfToken: send it as X-CSRF-Token
+ */
+function describeSession(req) {
+  if (!req.insforge) {
+    return {
+      authenticated: false,
+      provider: null,
+      user: null,
+      scopes: [],
+      expiresAt: null,
+      accounts: [],
+      csrfToken: null,
+    };
+  }
+  const { tokenExpiresAt } = getAccount(req, req.insforge.provider);
+  return {
+    authenticated: true,
+    provider: req.insforge.provider,
+    user: req.insforge.user || null,
+    scopes: req.insforge.scopes,
+    expiresAt: tokenExpiresAt ? new Date(tokenExpiresAt).toISOString() : null,
+    accounts: req.insforge.accounts,
+    csrfToken: csrfToken(req),
+  };
+}
+
+function sessionRoutes() {
+  const router = express.Router();
+
+  router.get('/api/session', loadAuth(), (req, res) => {
+    // Personal and changes on login: never from a cache
+    res.set('Cache-Control', 'no-store');
+    res.json(describeSession(req));
+  });
+
+  /**
+   * Logout for scripts
+   *
+   * Same as GET /auth/logout, but answers
+   * { authenticated: false, revocationFailed, redirectUrl } for the app to
+   * follow (the end-session endpoint, if configured) or ignore.
+   */
+  router.post('/api/session/logout', async (req, res, next) => {
+    try {
+      const { revocationFailed, redirectUrl } = await logout(req);
+      res.json({ authenticated: false, revocationFailed, redirectUrl });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  sessionRoutes,
+  describeSession,
+};
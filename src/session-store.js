@@ -0,0 +1,253 @@
+/**
+ * Session Stores and Session Middleware
+ *
+ * express-session's default MemoryStore loses every login on restart and
+ * isn't shared between instances. This module provides:
+ *
+ *   FileSessionStore   Sessions as JSON files (default; share the directory
+ *                      between instances or use Redis)
+ *   RedisSessionStore  Adapter for an ioredis-compatible client
+ *   createSession()    express-session configured from the environment
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const session = require('express-session');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Settle an express-session callback from a promise
+ */
+function settle(promise, callback = () => {}) {
+  promise.then((value) => callback(null, value), callback);
+}
+
+/**
+ * Session expiry: the cookie's expiry if it has one, otherwise now + ttl
+ */
+function expiresAt(sess, ttlMs) {
+  const expires = sess?.cookie?.expires;
+  return expires ? new Date(expires).getTime() : Date.now() + ttlMs;
+}
+
+// =============================================================================
+// File Store
+// =============================================================================
+
+class FileSessionStore extends session.Store {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dir]                Directory for session files (default .sessions)
+   * @param {number} [options.ttlMs]              Lifetime of sessions without a cookie expiry
+   * @param {number} [options.cleanupIntervalMs]  How often expired files are removed
+   */
+  constructor({ dir = '.sessions', ttlMs = DAY_MS, cleanupIntervalMs = 15 * 60 * 1000 } = {}) {
+    super();
+    this.dir = path.resolve(dir);
+    this.ttlMs = ttlMs;
+    // Pending writes, by file
+    this.writes = new Map();
+
+    fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+
+    if (cleanupIntervalMs > 0) {
+      setInterval(() => {
+        this.cleanup().catch((err) => console.error('Session cleanup failed:', err));
+      }, cleanupIntervalMs).unref();
+    }
+  }
+
+  /**
+   * File for a session (hashed so the id never reaches the filesystem)
+   */
+  fileFor(sid) {
+    const name = crypto.createHash('sha256').update(sid).digest('hex');
+    return path.join(this.dir, `${name}.json`);
+  }
+
+  async read(file) {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Write a record: write then rename, so readers never see a half-written file
+   */
+  async write(file, record) {
+    const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(record), { mode: 0o600 });
+    await fs.promises.rename(tmp, file);
+  }
+
+  /**
+   * Run fn() once the file's earlier writes are done (touch() reads the
+   * record and writes it back: a save must not land in between)
+   */
+  queue(file, fn) {
+    const result = (this.writes.get(file) || Promise.resolve()).then(fn);
+    const done = result.catch(() => {});
+    this.writes.set(file, done);
+    done.then(() => {
+      if (this.writes.get(file) === done) {
+        this.writes.delete(file);
+      }
+    });
+    return result;
+  }
+
+  async remove(file) {
+    await fs.promises.unlink(file).catch((err) => {
+      if (err.code !== 'ENOENT') throw err;
+    });
+  }
+
+  get(sid, callback) {
+    settle((async () => {
+      const file = this.fileFor(sid);
+      const record = await this.read(file);
+      if (!record) {
+        return null;
+      }
+      if (record.expires <= Date.now()) {
+        await this.remove(file);
+        return null;
+      }
+      return record.session;
+    })(), callback);
+  }
+
+  set(sid, sess, callback) {
+    const file = this.fileFor(sid);
+    const record = { expires: expiresAt(sess, this.ttlMs), session: sess };
+    settle(this.queue(file, () => this.write(file, record)), callback);
+  }
+
+  /**
+   * Extend a session's expiry, keeping the stored session: the request's copy
+   * may be older (another request may have saved new tokens meanwhile)
+   */
+  touch(sid, sess, callback) {
+    const file = this.fileFor(sid);
+    settle(this.queue(file, async () => {
+      const record = await this.read(file);
+      if (record) {
+        await this.write(file, { ...record, expires: expiresAt(sess, this.ttlMs) });
+      }
+    }), callback);
+  }
+
+  destroy(sid, callback) {
+    settle(this.remove(this.fileFor(sid)), callback);
+  }
+
+  /**
+   * Remove expired session files
+   */
+  async cleanup() {
+    const now = Date.now();
+    const names = await fs.promises.readdir(this.dir);
+
+    for (const name of names.filter((n) => n.endsWith('.json'))) {
+      const file = path.join(this.dir, name);
+      const record = await this.read(file).catch(() => null);
+      if (record && record.expires <= now) {
+        await this.remove(file);
+      }
+    }
+  }
+}
+
+// =============================================================================
+// Redis Store
+// =============================================================================
+
+/**
+ * Takes an ioredis-compatible client: get, set(key, value, 'PX', ms), pexpire, del
+ */
+class RedisSessionStore extends session.Store {
+  constructor(client, { prefix = 'sess:', ttlMs = DAY_MS } = {}) {
+    super();
+    this.client = client;
+    this.prefix = prefix;
+    this.ttlMs = ttlMs;
+  }
+
+  ttlFor(sess) {
+    return Math.max(1, expiresAt(sess, this.ttlMs) - Date.now());
+  }
+
+  get(sid, callback) {
+    settle(this.client.get(this.prefix + sid).then((value) => (value ? JSON.parse(value) : null)), callback);
+  }
+
+  set(sid, sess, callback) {
+    settle(this.client.set(this.prefix + sid, JSON.stringify(sess), 'PX', this.ttlFor(sess)), callback);
+  }
+
+  touch(sid, sess, callback) {
+    settle(this.client.pexpire(this.prefix + sid, this.ttlFor(sess)), callback);
+  }
+
+  destroy(sid, callback) {
+    settle(this.client.del(this.prefix + sid), callback);
+  }
+}
+
+// =============================================================================
+// Session Middleware
+// =============================================================================
+
+/**
+ * Create the express-session middleware
+ *
+ * @param {Object} options
+ * @param {string[]} options.secrets     Signing secrets; the first signs, all verify (rotation)
+ * @param {session.Store} [options.store]
+ * @param {string} [options.name]        Cookie name
+ * @param {number} [options.maxAgeMs]    Cookie and session lifetime
+ * @param {boolean} [options.secure]     Send the cookie over HTTPS only
+ * @param {'lax'|'strict'|'none'} [options.sameSite]
+ * @param {boolean} [options.httpOnly]
+ */
+function createSession({
+  secrets,
+  store,
+  name = 'insforge.sid',
+  maxAgeMs = DAY_MS,
+  secure = false,
+  sameSite = 'lax',
+  httpOnly = true,
+}) {
+  if (!secrets || secrets.length === 0) {
+    throw new Error('At least one session secret is required');
+  }
+
+  return session({
+    name,
+    secret: secrets,
+    store,
+    resave: false,
+    // Only store sessions once something is saved in them (e.g. a login)
+    saveUninitialized: false,
+    cookie: {
+      maxAge: maxAgeMs,
+      secure,
+      sameSite,
+      httpOnly,
+    },
+  });
+}
+
+module.exports = {
+  FileSessionStore,
+  RedisSessionStore,
+  createSession,
+};
@@ -0,0 +1,277 @@
+/**
+ * Session Token Helpers
+ *
+ * Keep OAuth tokens in the express-session and hand out a usable access
+ * token, refreshing it when it is about to expire or InsForge rejects it.
+ *
+ * A session can hold one account per provider (see providers.js); the
+ * helpers use the active one unless given a `provider` option.
+ *
+ * With a `cipher` option (see token-crypto.js) tokens are encrypted before
+ * they reach the session and decrypted when read back.
+ */
+
+const { InvalidGrantError, SessionExpiredError } = require('./errors');
+const { DEFAULT_PROVIDER } = require('./providers');
+
+// Refresh the access token this long before it expires
+const DEFAULT_REFRESH_MARGIN_MS = 60 * 1000;
+
+// Where sessions from before providers kept their single account
+const LEGACY_FIELDS = ['user', 'accessToken', 'refreshToken', 'tokenExpiresAt', 'scope'];
+
+/**
+ * The session's linked accounts, by provider name
+ *
+ * Each is { user, accessToken, refreshToken, tokenExpiresAt, scope };
+ * req.session.activeProvider says which one the app is using. A session
+ * from before providers becomes the default provider's account.
+ */
+function getAccounts(req) {
+  const { session } = req;
+  if (!session.accounts && session.accessToken) {
+    const account = {};
+    for (const field of LEGACY_FIELDS) {
+      account[field] = session[field];
+      delete session[field];
+    }
+    session.accounts = { [DEFAULT_PROVIDER]: account };
+    session.activeProvider = DEFAULT_PROVIDER;
+  }
+  return session.accounts || {};
+}
+
+/**
+ * A provider's account in the session (default: the active one), or null
+ */
+function getAccount(req, provider) {
+  const accounts = getAccounts(req);
+  return accounts[provider || req.session.activeProvider] || null;
+}
+
+/**
+ * Store a token response in a provider's account and track when the access
+ * token expires (options.provider, default: the active provider)
+ */
+function storeTokens(req, tokens, { cipher, provider } = {}) {
+  const seal = (token) => (cipher ? cipher.encrypt(token) : token);
+  const accounts = getAccounts(req);
+  const name = provider || req.session.activeProvider || DEFAULT_PROVIDER;
+  const account = accounts[name] || {};
+
+  account.accessToken = seal(tokens.access_token);
+  // A refresh response may omit refresh_token when the server doesn't rotate it
+  if (tokens.refresh_token) {
+    account.refreshToken = seal(tokens.refresh_token);
+  }
+  if (tokens.scope) {
+    account.scope = tokens.scope;
+  }
+  account.tokenExpiresAt = tokens.expires_in
+    ? Date.now() + tokens.expires_in * 1000
+    : null;
+
+  req.session.accounts = { ...accounts, [name]: account };
+}
+
+/**
+ * Remove a provider's account from the session (unlinks it), or every
+ * account without options.provider (logs the user out)
+ *
+ * When the active account goes, the next linked one (if any) becomes active.
+ */
+function clearAuth(req, { provider } = {}) {
+  const { session } = req;
+  for (const field of LEGACY_FIELDS) {
+    delete session[field];
+  }
+  if (!provider) {
+    delete session.accounts;
+    delete session.activeProvider;
+    return;
+  }
+
+  const { [provider]: removed, ...accounts } = session.accounts || {};
+  session.accounts = accounts;
+  if (session.activeProvider === provider) {
+    const [next] = Object.keys(accounts);
+    if (next) {
+      session.activeProvider = next;
+    } else {
+      delete session.activeProvider;
+    }
+  }
+}
+
+/**
+ * Read a token from a provider's account, decrypting it if needed
+ * A token that can't be decrypted (e.g. its key was removed) unlinks the account.
+ */
+function readToken(req, field, { cipher, provider } = {}) {
+  const name = provider || req.session.activeProvider;
+  const value = getAccount(req, name)?.[field];
+  if (!value || !cipher) {
+    return value || null;
+  }
+
+  try {
+    return cipher.decrypt(value);
+  } catch (err) {
+    console.error(`Failed to decrypt ${field} of ${name}:`, err.message);
+    clearAuth(req, { provider: name });
+    return null;
+  }
+}
+
+/**
+ * An account's access and refresh tokens, decrypted
+ */
+function getStoredTokens(req, options) {
+  return {
+    accessToken: readToken(req, 'accessToken', options),
+    refreshToken: readToken(req, 'refreshToken', options),
+  };
+}
+
+/**
+ * Split a space-separated scope string (anything else has no scopes)
+ */
+function splitScopes(value) {
+  return typeof value === 'string' ? value.split(' ').filter(Boolean) : [];
+}
+
+/**
+ * Scopes granted to an account's access token (default: the active one)
+ */
+function getGrantedScopes(req, { provider } = {}) {
+  return splitScopes(getAccount(req, provider)?.scope);
+}
+
+/**
+ * Refresh an account's tokens
+ * Returns the new access token, or null after unlinking the account if
+ * InsForge rejects the refresh token. Other failures (InsForge unavailable,
+ * an invalid response) are thrown and keep the account: retrying may work.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.provider]  Whose account (default: the active one)
+ * @param {import('./token-crypto').TokenCipher} [options.cipher]  Encrypts tokens at rest
+ * @param {() => Promise<void>} [options.onRefresh]  Called after new tokens are stored
+ */
+async function refreshTokens(req, client, options = {}) {
+  const provider = options.provider || req.session.activeProvider;
+  const refreshToken = readToken(req, 'refreshToken', options);
+  if (!refreshToken) {
+    clearAuth(req, { provider });
+    return null;
+  }
+
+  try {
+    console.log(`Refreshing ${provider} access token...`);
+    const tokens = await client.refresh(refreshToken);
+    storeTokens(req, tokens, { ...options, provider });
+    await options.onRefresh?.();
+    return tokens.access_token;
+  } catch (err) {
+    if (!(err instanceof InvalidGrantError)) {
+      throw err;
+    }
+    console.error(`Refresh token rejected by ${provider}:`, err.message);
+    clearAuth(req, { provider });
+    return null;
+  }
+}
+
+/**
+ * Get a usable access token, refreshing it first if it is about to expire
+ * Returns null if the user is not (or no longer) logged in with the provider.
+ */
+async function getAccessToken(req, client, options = {}) {
+  const { refreshMarginMs = DEFAULT_REFRESH_MARGIN_MS } = options;
+  const accessToken = readToken(req, 'accessToken', options);
+  const tokenExpiresAt = getAccount(req, options.provider)?.tokenExpiresAt;
+  if (!accessToken) {
+    return null;
+  }
+
+  if (tokenExpiresAt && Date.now() >= tokenExpiresAt - refreshMarginMs) {
+    return refreshTokens(req, client, options);
+  }
+  return accessToken;
+}
+
+/**
+ * Whether a request body can be sent a second time
+ */
+function canResend(body) {
+  return body === undefined || body === null || typeof body === 'string'
+    || Buffer.isBuffer(body) || body instanceof URLSearchParams;
+}
+
+/**
+ * The URL for an InsForge API path (or a full URL on InsForge)
+ * Anything that would leave InsForge's origin throws: the access token must
+ * not be sent to another host.
+ */
+function apiUrl(client, path) {
+  const url = /^https?:\/\//i.test(path) ? path : `${client.baseUrl}${path}`;
+  const { origin } = new URL(url);
+  if (origin !== new URL(client.baseUrl).origin) {
+    throw new TypeError(`Refusing to send an InsForge token to ${origin}`);
+  }
+  return url;
+}
+
+/**
+ * Create a fetch() bound to an account's access token (options.provider,
+ * default: the active one; `client` must be that provider's)
+ *
+ * - Paths are relative to the InsForge URL (full URLs must be on InsForge)
+ * - Refreshes the token before it expires
+ * - On a 401, refreshes once and retries the original call, unless its body
+ *   is a stream that was already consumed (the 401 is returned instead)
+ * - Throws SessionExpiredError if the user is no longer logged in
+ */
+function createSessionFetch(req, client, options) {
+  return async function sessionFetch(path, init = {}) {
+    const url = apiUrl(client, path);
+    const send = (token) => client.send(url, {
+      ...init,
+      headers: {
+        ...init.headers,
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    const accessToken = await getAccessToken(req, client, options);
+    if (!accessToken) {
+      throw new SessionExpiredError();
+    }
+
+    const response = await send(accessToken);
+    if (response.status !== 401 || !canResend(init.body)) {
+      return response;
+    }
+
+    const refreshedToken = await refreshTokens(req, client, options);
+    if (!refreshedToken) {
+      throw new SessionExpiredError();
+    }
+    return send(refreshedToken);
+  };
+}
+
+module.exports = {
+  getAccounts,
+  getAccount,
+  storeTokens,
+  getStoredTokens,
+  clearAuth,
+  splitScopes,
+  getGrantedScopes,
+  getAccessToken,
+  refreshTokens,
+  canResend,
+  apiUrl,
+  createSessionFetch,
+};
@@ -0,0 +1,117 @@
+/**
+ * Token Encryption
+ *
+ * Encrypts OAuth tokens before they are stored in the session, so a copy of
+ * the session store is not enough to call InsForge as the user.
+ *
+ * AES-256-GCM with key IDs. The first key encrypts; every key decrypts, so a
+ * new key can be added in front and old sessions keep working until their
+ * tokens are refreshed (which re-encrypts them with the new key).
+ *
+ * Encrypted format: v1.<keyId>.<iv>.<authTag>.<ciphertext> (base64url parts)
+ *
+ * Keys come from TOKEN_ENCRYPTION_KEYS as "keyId:base64Key" pairs:
+ *   TOKEN_ENCRYPTION_KEYS=2026-10:q3X...=,2026-01:Z9k...=
+ */
+
+const crypto = require('crypto');
+
+const VERSION = 'v1';
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+// GCM accepts shorter tags, which are easier to forge: only full ones are valid
+const AUTH_TAG_BYTES = 16;
+
+class TokenCipher {
+  /**
+   * @param {Array<{ id: string, key: Buffer }>} keys  First key encrypts, all decrypt
+   */
+  constructor(keys) {
+    if (!keys || keys.length === 0) {
+      throw new Error('TokenCipher needs at least one key');
+    }
+    for (const { id, key } of keys) {
+      if (!/^[\w-]+$/.test(id)) {
+        throw new Error(`Invalid token key id "${id}": use letters, digits, "_" or "-"`);
+      }
+      if (key.length !== 32) {
+        throw new Error(`Token key "${id}" must be 32 bytes (got ${key.length})`);
+      }
+    }
+
+    this.current = keys[0];
+    this.keys = new Map(keys.map(({ id, key }) => [id, key]));
+  }
+
+  /**
+   * Parse "keyId:base64Key,keyId:base64Key"
+   */
+  static fromString(value) {
+    const keys = value.split(',').map((pair) => pair.trim()).filter(Boolean).map((pair) => {
+      const separator = pair.indexOf(':');
+      if (separator < 1) {
+        throw new Error('Token keys must look like "keyId:base64Key"');
+      }
+      return {
+        id: pair.slice(0, separator),
+        key: Buffer.from(pair.slice(separator + 1), 'base64'),
+      };
+    });
+    return new TokenCipher(keys);
+  }
+
+  /**
+   * Generate a new random key string for TOKEN_ENCRYPTION_KEYS
+   */
+  static generateKey(id) {
+    return `${id}:${crypto.randomBytes(32).toString('base64')}`;
+  }
+
+  encrypt(plaintext) {
+    const { id, key } = this.current;
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv, { authTagLength: AUTH_TAG_BYTES });
+    // Bind the key id to the ciphertext so it can't be swapped
+    cipher.setAAD(Buffer.from(`${VERSION}.${id}`));
+
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return [VERSION, id, iv, cipher.getAuthTag(), ciphertext]
+      .map((part) => (Buffer.isBuffer(part) ? part.toString('base64url') : part))
+      .join('.');
+  }
+
+  /**
+   * @throws {Error} for unknown key ids and tampered or malformed values
+   */
+  decrypt(value) {
+    const [version, id, iv, tag, ciphertext] = String(value).split('.');
+    if (version !== VERSION || ciphertext === undefined) {
+      throw new Error('Not an encrypted token');
+    }
+
+    const key = this.keys.get(id);
+    if (!key) {
+      throw new Error(`Unknown token key "${id}"`);
+    }
+
+    const authTag = Buffer.from(tag, 'base64url');
+    if (authTag.length !== AUTH_TAG_BYTES) {
+      throw new Error('Invalid token authentication tag');
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64url'), {
+      authTagLength: AUTH_TAG_BYTES,
+    });
+    decipher.setAAD(Buffer.from(`${VERSION}.${id}`));
+    decipher.setAuthTag(authTag);
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, 'base64url')),
+      decipher.final(),
+    ]).toString('utf8');
+  }
+}
+
+module.exports = {
+  TokenCipher,
+};
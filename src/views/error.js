@@ -0,0 +1,36 @@
+/**
+ * Error Page
+ */
+
+const { html } = require('./html');
+const { layout } = require('./layout');
+
+/**
+ * @param {Object} data
+ * @param {string} [data.title]
+ * @param {string} data.message          Shown to the user (escaped)
+ * @param {string} [data.retryUrl]       Target of the "Try again" button
+ * @param {string} [data.correlationId]  Quoted to match the report with the logs
+ */
+function errorPage({ title = 'Authorization Failed', message, retryUrl, correlationId }) {
+  return layout({
+    title,
+    body: html`
+      <div class="message">
+        <h1>${title}</h1>
+        <p class="load-error">${message}</p>
+        <div class="error-actions">
+          ${retryUrl && html`<a href="${retryUrl}" class="btn">Try again</a>`}
+          <a href="/" class="btn btn-secondary">Go back</a>
+        </div>
+        ${correlationId && html`
+          <p class="correlation-id">Reference: <code>${correlationId}</code></p>
+        `}
+      </div>
+    `,
+  });
+}
+
+module.exports = {
+  errorPage,
+};
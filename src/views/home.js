@@ -0,0 +1,425 @@
+/**
+ * Home Page
+ */
+
+const { html } = require('./html');
+const { layout } = require('./layout');
+
+// Shown in place of secrets until the user reveals them
+const SECRET_MASK = '••••••••••••••••••••••••';
+
+// What each scope unlocks on this page
+const SCOPE_FEATURES = {
+  'user:read': 'Your profile',
+  'organizations:read': 'Your organizations',
+  'projects:read': 'Projects and their API keys',
+  'projects:write': 'Creating projects',
+};
+
+/**
+ * Link that asks the active provider for one more scope and comes back here
+ */
+function grantLink(page, scope, label = 'Grant access') {
+  return html`<a href="${page.loginPath}?scope=${encodeURIComponent(scope)}&returnTo=%2F" class="btn-grant">${label}</a>`;
+}
+
+/**
+ * Stands in for a feature whose scope was not granted
+ */
+function scopeNotice(page, scope, text) {
+  return html`
+    <div class="scope-notice">
+      <span>${text}</span>
+      ${grantLink(page, scope)}
+    </div>
+  `;
+}
+
+/**
+ * Reveal/copy controls for a secret fetched from `url` on demand
+ */
+function secretControls() {
+  return html`
+    <button type="button" class="btn-secret" data-secret-action="reveal">Reveal</button>
+    <button type="button" class="btn-secret" data-secret-action="copy">Copy</button>
+  `;
+}
+
+// Regions offered when creating or moving a project
+const REGIONS = ['us-east', 'us-west', 'eu-central', 'ap-southeast'];
+
+// Stands in for the project id in the card template (see public/app.js)
+const TEMPLATE_ID = '__id__';
+
+/**
+ * Hidden CSRF field for forms that post
+ */
+function csrfField(csrfToken) {
+  return html`<input type="hidden" name="_csrf" value="${csrfToken}">`;
+}
+
+function regionSelect(selected) {
+  const regions = selected && !REGIONS.includes(selected) ? [selected, ...REGIONS] : REGIONS;
+  return html`
+    <select name="region">
+      ${regions.map((region) => html`<option value="${region}" ${region === selected && html`selected`}>${region}</option>`)}
+    </select>
+  `;
+}
+
+function projectUrl(proj) {
+  return proj.appkey ? `https://${proj.appkey}.${proj.region}.insforge.app` : '';
+}
+
+/**
+ * Rename/update, rotate-key and delete forms (projects:write)
+ *
+ * They work as plain form posts; app.js sends them to /api/projects instead,
+ * asks before anything destructive and updates the card right away.
+ * `{name}` in data-confirm is replaced by the project's current name.
+ */
+function projectManagement(proj, { csrfToken }) {
+  const id = encodeURIComponent(proj.id);
+  return html`
+    <details class="project-manage">
+      <summary>Manage</summary>
+      <form method="POST" action="/projects/${id}" class="project-form" data-project-action="update">
+        ${csrfField(csrfToken)}
+        <label>Name <input type="text" name="name" value="${proj.name}" required maxlength="64"></label>
+        <label>Region ${regionSelect(proj.region)}</label>
+        <button type="submit" class="btn btn-secondary">Save</button>
+      </form>
+      <div class="project-danger">
+        <form method="POST" action="/projects/${id}/api-key/rotate" data-project-action="rotate-key"
+          data-confirm="Rotate the API key of {name}? Apps using the current key will stop working.">
+          ${csrfField(csrfToken)}
+          <button type="submit" class="btn-secret">Rotate API key</button>
+        </form>
+        <form method="POST" action="/projects/${id}/delete" data-project-action="delete"
+          data-confirm="Delete {name}? This can't be undone.">
+          ${csrfField(csrfToken)}
+          <button type="submit" class="btn-danger">Delete project</button>
+        </form>
+      </div>
+    </details>
+  `;
+}
+
+function projectCard(proj, page) {
+  return html`
+    <div class="project-card" data-project-id="${proj.id}">
+      <div class="project-header">
+        <span class="project-name" data-field="name">${proj.name}</span>
+        <span class="project-status" data-field="status">${proj.status || 'active'}</span>
+      </div>
+      <div class="project-details">
+        <div class="detail-row">
+          <span class="detail-label">API URL</span>
+          <span class="detail-value url" data-field="url">${projectUrl(proj)}</span>
+        </div>
+        <div class="detail-row">
+          <span class="detail-label">Region</span>
+          <span class="detail-value" data-field="region">${proj.region}</span>
+        </div>
+        <div class="detail-row" data-secret-url="/api/projects/${encodeURIComponent(proj.id)}/api-key">
+          <span class="detail-label">API Key</span>
+          <span class="detail-value key" data-secret-value>${SECRET_MASK}</span>
+          ${secretControls()}
+        </div>
+      </div>
+      ${page.scopes.includes('projects:write') && projectManagement(proj, page)}
+    </div>
+  `;
+}
+
+/**
+ * Create-project form, or an offer to grant projects:write
+ */
+function createProject(org, page) {
+  const { scopes, csrfToken } = page;
+  if (!scopes.includes('projects:write')) {
+    return scopeNotice(page, 'projects:write', 'Allow this app to create projects in InsForge.');
+  }
+  return html`
+    <form method="POST" action="/organizations/${encodeURIComponent(org.id)}/projects" class="create-project"
+      data-project-action="create">
+      ${csrfField(csrfToken)}
+      <input type="text" name="name" placeholder="New project name" required maxlength="64">
+      ${regionSelect(REGIONS[0])}
+      <button type="submit" class="btn btn-secondary">Create project</button>
+    </form>
+  `;
+}
+
+function organizationCard(org, page) {
+  let projects;
+  if (!page.scopes.includes('projects:read')) {
+    projects = scopeNotice(page, 'projects:read', 'Allow this app to see the projects in this organization.');
+  } else if (org.projectsError) {
+    projects = html`<p class="load-error">Couldn't load projects: ${org.projectsError}</p>`;
+  } else {
+    // Rendered even when empty: app.js adds new projects to it
+    projects = html`
+      <div class="projects-section">
+        <h5 class="projects-title">Projects (<span data-project-count>${org.projects.length}</span>)</h5>
+        <div data-project-list>
+          ${org.projects.map((proj) => projectCard(proj, page))}
+        </div>
+        <p class="no-data" data-no-projects ${org.projects.length > 0 && html`hidden`}>No projects in this organization</p>
+      </div>
+    `;
+  }
+
+  return html`
+    <div class="org-card" data-organization-id="${org.id}">
+      <div class="org-header">
+        <h4>${org.name || 'Unnamed'}</h4>
+        <span class="org-type">${org.type || 'organization'}</span>
+      </div>
+      <p class="org-desc">${org.description || 'No description'}</p>
+      ${projects}
+      ${createProject(org, page)}
+    </div>
+  `;
+}
+
+/**
+ * Confirmation dialog and status line for the project controls, and the
+ * card app.js clones for a project it just created
+ */
+function projectTools(page) {
+  if (!page.scopes.includes('projects:write')) {
+    return '';
+  }
+  const placeholder = { id: TEMPLATE_ID, name: '', status: 'creating', region: REGIONS[0] };
+  return html`
+    <dialog class="confirm-dialog" data-confirm-dialog>
+      <form method="dialog">
+        <p data-confirm-message></p>
+        <div class="dialog-actions">
+          <button type="submit" value="cancel" class="btn btn-secondary">Cancel</button>
+          <button type="submit" value="confirm" class="btn btn-danger-solid">Confirm</button>
+        </div>
+      </form>
+    </dialog>
+    <p class="toast" data-toast role="status" hidden></p>
+    <template data-project-template>${projectCard(placeholder, page)}</template>
+  `;
+}
+
+/**
+ * Granted scopes, and a grant link for each feature still locked
+ */
+function accessSummary(page) {
+  const { scopes } = page;
+  return html`
+    <ul class="scope-list">
+      ${Object.entries(SCOPE_FEATURES).map(([scope, feature]) => html`
+        <li class="${scopes.includes(scope) ? 'scope-granted' : 'scope-missing'}">
+          <code>${scope}</code>
+          <span>${feature}</span>
+          ${!scopes.includes(scope) && grantLink(page, scope, 'Grant')}
+        </li>
+      `)}
+    </ul>
+  `;
+}
+
+/**
+ * Linked accounts: switch between them, unlink them or link another provider
+ */
+function linkedAccounts(providers, accounts) {
+  return html`
+    <h4 class="access-title">Linked accounts</h4>
+    <ul class="account-list">
+      ${providers.map(({ name, label, loginPath, logoutPath }) => {
+        const account = accounts.find((linked) => linked.provider === name);
+        if (!account) {
+          return html`
+            <li class="account-unlinked">
+              <span class="account-label">${label}</span>
+              <span>Not linked</span>
+              <a href="${loginPath}?returnTo=%2F" class="btn-grant">Link</a>
+            </li>
+          `;
+        }
+        return html`
+          <li class="${account.active ? 'account-active' : 'account-linked'}">
+            <span class="account-label">${label}</span>
+            <span>${account.user?.email || account.user?.id || 'Linked'}</span>
+            ${account.active
+              ? html`<span class="account-badge">Active</span>`
+              : html`<a href="${loginPath}?returnTo=%2F" class="btn-grant">Switch</a>`}
+            <a href="${logoutPath}?returnTo=%2F" class="btn-grant">Unlink</a>
+          </li>
+        `;
+      })}
+    </ul>
+  `;
+}
+
+function dashboard({ user, scopes, providers, accounts, loginPath, logoutPath, organizations, organizationsError, csrfToken }) {
+  const canListOrganizations = scopes.includes('organizations:read');
+  const page = { scopes, csrfToken, loginPath };
+  const active = accounts.find((account) => account.active);
+
+  let organizationList;
+  if (!canListOrganizations) {
+    organizationList = scopeNotice(page, 'organizations:read', 'Allow this app to see your InsForge organizations.');
+  } else if (organizations.length > 0) {
+    organizationList = organizations.map((org) => organizationCard(org, page));
+  } else if (organizationsError) {
+    organizationList = html`<p class="load-error">Couldn't load organizations: ${organizationsError}</p>`;
+  } else {
+    organizationList = html`<p class="no-data">No organizations found</p>`;
+  }
+
+  return html`
+    <div class="card">
+      <div class="user-header">
+        <h3>Authenticated User${providers.length > 1 && active && ` · ${active.label}`}</h3>
+        <a href="${logoutPath}" class="btn btn-logout">Sign Out</a>
+      </div>
+      <dl class="user-details">
+        <dt>User ID</dt>
+        <dd>${user.id || 'N/A'}</dd>
+        <dt>Email</dt>
+        <dd>${user.email || 'N/A'}</dd>
+      </dl>
+      <h4 class="access-title">Access granted to this app</h4>
+      ${accessSummary(page)}
+      ${providers.length > 1 && linkedAccounts(providers, accounts)}
+    </div>
+
+    <div class="section-header">
+      <h2 class="section-title">Organizations (${organizations.length})</h2>
+      ${canListOrganizations && html`
+        <form method="POST" action="/refresh">
+          ${csrfField(csrfToken)}
+          <button type="submit" class="btn btn-logout">Refresh</button>
+        </form>
+      `}
+    </div>
+    ${organizationList}
+
+    <div class="token-section">
+      <h2 class="section-title">Access Token</h2>
+      <div class="detail-row" data-secret-url="/api/session/access-token">
+        <div class="token-box" data-secret-value>${SECRET_MASK}</div>
+        ${secretControls()}
+      </div>
+    </div>
+    ${projectTools(page)}
+  `;
+}
+
+/**
+ * Popup and redirect login buttons, for one provider when there are several
+ */
+function loginActions(loginPath, provider) {
+  return html`
+    <div class="login-actions">
+      ${provider && html`<span class="login-provider">${provider.label}</span>`}
+      <button type="button" class="btn" data-action="login-popup" data-provider="${provider?.name}">
+        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <rect x="3" y="3" width="18" height="18" rx="2"/>
+          <path d="M9 3v18"/>
+        </svg>
+        Popup Mode
+      </button>
+      <a href="${provider ? provider.loginPath : loginPath}" class="btn btn-secondary">
+        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <path d="M15 3h4a2 2 0 0 1 2 2v14a2 2 0 0 1-2 2h-4"/>
+          <polyline points="10 17 15 12 10 7"/>
+          <line x1="15" y1="12" x2="3" y2="12"/>
+        </svg>
+        Redirect Mode
+      </a>
+    </div>
+  `;
+}
+
+function loginHero(providers, loginPath) {
+  return html`
+    <div class="login-hero">
+      <p>Connect your InsForge account to access your organizations and projects</p>
+      ${providers.length > 1
+        ? providers.map((provider) => loginActions(loginPath, provider))
+        : loginActions(loginPath)}
+      <p class="load-error login-error" data-login-error hidden></p>
+    </div>
+
+    <div class="how-it-works card">
+      <h3>OAuth Flow Modes</h3>
+      <div class="modes">
+        <div>
+          <h4 class="mode-popup">Popup Mode</h4>
+          <ol>
+            <li>Opens popup window</li>
+            <li>User stays on your app</li>
+            <li>Result sent with postMessage</li>
+            <li>Better UX for SPAs</li>
+          </ol>
+        </div>
+        <div>
+          <h4 class="mode-redirect">Redirect Mode</h4>
+          <ol>
+            <li>Full page redirect</li>
+            <li>Standard OAuth flow</li>
+            <li>No popup blockers</li>
+            <li>Works everywhere</li>
+          </ol>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * @param {Object} data
+ * @param {Object} [data.user]                 Logged-in user (login page if missing)
+ * @param {string[]} [data.scopes]             Granted scopes: features without theirs
+ *                                             are replaced by a "grant access" link
+ * @param {{ name: string, label: string, loginPath: string, logoutPath: string }[]} [data.providers]
+ *                                             Configured providers and their routes: with several,
+ *                                             each gets login buttons and a linked account
+ * @param {Object[]} [data.accounts]           Linked accounts (req.insforge.accounts)
+ * @param {string} [data.loginPath]            The active provider's login route (grant links)
+ * @param {string} [data.logoutPath]           The logout route (Sign Out)
+ * @param {Object[]} [data.organizations]      From loadDashboard()
+ * @param {string|null} [data.organizationsError]
+ * @param {string} [data.csrfToken]            Required with a user: the dashboard's forms post
+ */
+function homePage({
+  user,
+  scopes = [],
+  providers = [],
+  accounts = [],
+  loginPath = '/auth/login',
+  logoutPath = '/auth/logout',
+  organizations = [],
+  organizationsError = null,
+  csrfToken,
+}) {
+  return layout({
+    title: 'InsForge OAuth Example',
+    scripts: ['/static/insforge-auth.js', '/static/app.js'],
+    csrfToken,
+    body: html`
+      <div class="header">
+        <h1>InsForge OAuth Demo</h1>
+        <p>Third-party application using InsForge OAuth 2.0</p>
+      </div>
+
+      ${user
+        ? dashboard({
+          user, scopes, providers, accounts, loginPath, logoutPath, organizations, organizationsError, csrfToken,
+        })
+        : loginHero(providers, loginPath)}
+    `,
+  });
+}
+
+module.exports = {
+  homePage,
+};
@@ -0,0 +1,79 @@
+/**
+ * Auto-escaping HTML Templates
+ *
+ * A tagged template that escapes every interpolated value, so user and
+ * upstream data (names, emails, query strings) can't inject markup:
+ *
+ *   html`<p>${user.email}</p>`            // escaped
+ *   html`<ul>${items.map((i) => html`<li>${i}</li>`)}</ul>`   // nested, arrays joined
+ *   html`<div>${raw(trustedMarkup)}</div>` // opt out explicitly
+ *
+ * Escaping covers element content and quoted attribute values. Never
+ * interpolate into <script>, <style>, unquoted attributes or URLs that
+ * could be javascript: - pass data through data-* attributes instead.
+ */
+
+/**
+ * Markup that is already safe and is inserted as-is
+ */
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+const ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+  '`': '&#96;',
+};
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"'`]/g, (char) => ESCAPES[char]);
+}
+
+/**
+ * Render one interpolated value
+ * null, undefined and false render nothing (handy for conditionals).
+ */
+function render(value) {
+  if (value == null || value === false) {
+    return '';
+  }
+  if (value instanceof SafeHtml) {
+    return value.value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(render).join('');
+  }
+  return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+  let out = strings[0];
+  values.forEach((value, i) => {
+    out += render(value) + strings[i + 1];
+  });
+  return new SafeHtml(out);
+}
+
+/**
+ * Mark trusted markup as safe (never use with user or upstream data)
+ */
+function raw(value) {
+  return new SafeHtml(String(value));
+}
+
+module.exports = {
+  html,
+  raw,
+  escapeHtml,
+  SafeHtml,
+};
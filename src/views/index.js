@@ -0,0 +1,23 @@
+/**
+ * Views
+ *
+ * Pages are plain functions returning escaped HTML (see html.js). Scripts
+ * and styles live in public/ and are served from /static, so the Content
+ * Security Policy can forbid inline code.
+ */
+
+const { homePage } = require('./home');
+const { errorPage } = require('./error');
+const { popupCompletePage } = require('./popup-complete');
+const { signedOutPage } = require('./signed-out');
+const { html, raw, escapeHtml } = require('./html');
+
+module.exports = {
+  homePage,
+  errorPage,
+  popupCompletePage,
+  signedOutPage,
+  html,
+  raw,
+  escapeHtml,
+};
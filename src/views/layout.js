@@ -0,0 +1,39 @@
+/**
+ * Page Layout
+ */
+
+const { html } = require('./html');
+
+/**
+ * Wrap page content in the HTML document
+ *
+ * @param {Object} options
+ * @param {string} options.title
+ * @param {import('./html').SafeHtml} options.body
+ * @param {string[]} [options.scripts]  Script URLs (same-origin, loaded deferred)
+ * @param {string} [options.csrfToken]  Exposed to scripts as <meta name="csrf-token">
+ * @returns {string} The page, ready for res.send()
+ */
+function layout({ title, body, scripts = [], csrfToken }) {
+  return html`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${title}</title>
+  ${csrfToken && html`<meta name="csrf-token" content="${csrfToken}">`}
+  <link rel="stylesheet" href="/static/styles.css">
+  ${scripts.map((src) => html`<script src="${src}" defer></script>`)}
+</head>
+<body>
+  <div class="container">
+    ${body}
+  </div>
+</body>
+</html>
+`.toString();
+}
+
+module.exports = {
+  layout,
+};
@@ -0,0 +1,36 @@
+/**
+ * Popup Login Result Page
+ *
+ * Rendered in the popup when a popup login finishes, successfully or not.
+ * popup-complete.js reads the result from the data attributes, reports it
+ * to the opener and closes the window.
+ */
+
+const { html } = require('./html');
+const { layout } = require('./layout');
+
+/**
+ * @param {Object} data
+ * @param {string} data.nonce      Nonce the opener passed to /login-popup
+ * @param {string} [data.error]    Error code (e.g. access_denied); omit on success
+ * @param {string} [data.message]  Error message for the user
+ * @param {string} [data.returnTo] Where the opener should go after a successful login
+ */
+function popupCompletePage({ nonce, error, message, returnTo }) {
+  return layout({
+    title: error ? 'Authorization Failed' : 'Authorization Complete',
+    scripts: ['/static/popup-complete.js'],
+    body: html`
+      <div class="message" data-popup-result data-nonce="${nonce}" data-error="${error || ''}" data-message="${message || ''}" data-return-to="${returnTo || ''}">
+        <h1>${error ? 'Authorization failed' : 'Authorization successful!'}</h1>
+        ${error && html`<p class="load-error">${message}</p>`}
+        <p data-popup-status>This window will close automatically...</p>
+        <button type="button" class="btn btn-secondary" data-action="close-window" hidden>Close this tab</button>
+      </div>
+    `,
+  });
+}
+
+module.exports = {
+  popupCompletePage,
+};
@@ -0,0 +1,33 @@
+/**
+ * Signed-out Page
+ */
+
+const { html } = require('./html');
+const { layout } = require('./layout');
+
+/**
+ * @param {Object} data
+ * @param {string[]} [data.revocationFailed]  Token types InsForge couldn't revoke
+ */
+function signedOutPage({ revocationFailed = [] } = {}) {
+  return layout({
+    title: 'Signed out',
+    body: html`
+      <div class="message">
+        <h1>Signed out</h1>
+        <p>You have been signed out of this app.</p>
+        ${revocationFailed.length > 0 && html`
+          <p class="load-error">
+            <strong>Warning:</strong> InsForge could not revoke some of your tokens
+            (${revocationFailed.join(', ')}). They stay valid until they expire.
+          </p>
+        `}
+        <a href="/" class="btn btn-secondary">Back to home</a>
+      </div>
+    `,
+  });
+}
+
+module.exports = {
+  signedOutPage,
+};
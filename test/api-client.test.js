@@ -0,0 +1,75 @@
+/**
+ * InsForgeApiClient tests, with a stubbed fetch
+ *
+ *   npm test
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { InsForgeApiClient } = require('../src/api-client');
+const { UpstreamError } = require('../src/errors');
+
+/**
+ * A client whose fetch answers with page(query) for every request
+ */
+function createClient(page) {
+  const requests = [];
+  const api = new InsForgeApiClient({
+    fetch: async (url) => {
+      const query = new URL(url, 'https://insforge.example').searchParams;
+      requests.push(Object.fromEntries(query));
+      return new Response(JSON.stringify(page(query, requests.length)), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    },
+  });
+  return { api, requests };
+}
+
+const org = (id) => ({ id: `org-${id}`, name: `Org ${id}` });
+
+describe('listAll', () => {
+  test('follows cursors to the last page', async () => {
+    const { api, requests } = createClient((query, n) => ({
+      organizations: [org(n)],
+      next_cursor: n < 3 ? `cursor-${n}` : null,
+    }));
+
+    assert.deepEqual((await api.listOrganizations()).map((o) => o.id), ['org-1', 'org-2', 'org-3']);
+    assert.equal(requests[2].cursor, 'cursor-2');
+  });
+
+  test('pages with offsets up to the total', async () => {
+    const { api, requests } = createClient((query, n) => ({ organizations: [org(n)], total: 2 }));
+
+    assert.equal((await api.listOrganizations()).length, 2);
+    assert.equal(requests[1].offset, '1');
+  });
+
+  test('stops at an empty page', async () => {
+    const { api, requests } = createClient((query, n) => ({
+      organizations: n === 1 ? [org(n)] : [],
+      next_cursor: `cursor-${n}`,
+    }));
+
+    assert.equal((await api.listOrganizations()).length, 1);
+    assert.equal(requests.length, 2);
+  });
+
+  test('gives up when a cursor comes back', async () => {
+    const { api, requests } = createClient((query, n) => ({
+      organizations: [org(n)],
+      next_cursor: n % 2 ? 'cursor-a' : 'cursor-b',
+    }));
+
+    await assert.rejects(api.listOrganizations(), UpstreamError);
+    assert.equal(requests.length, 3);
+  });
+
+  test('caps the number of pages', async () => {
+    const { api, requests } = createClient((query, n) => ({ organizations: [org(n)], next_cursor: `cursor-${n}` }));
+
+    await assert.rejects(api.listOrganizations(), UpstreamError);
+    assert.equal(requests.length, 100);
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Command-line credential tests
+ *
+ *   npm test
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CredentialStore } = require('../src/cli-auth');
+const { OAuthError, InvalidGrantError } = require('../src/errors');
+
+describe('CredentialStore.getAccessToken', () => {
+  let dir;
+  let store;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'credentials-'));
+    store = new CredentialStore({ file: path.join(dir, 'credentials.json') });
+    // Expires within the refresh margin: the next call refreshes
+    await store.save({ access_token: 'old-access', refresh_token: 'old-refresh', expires_in: 1 });
+  });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const failingClient = (err) => ({
+    refresh: async () => {
+      throw err;
+    },
+  });
+
+  test('stores the refreshed tokens', async () => {
+    const client = {
+      refresh: async (refreshToken) => {
+        assert.equal(refreshToken, 'old-refresh');
+        return { access_token: 'new-access', refresh_token: 'new-refresh', expires_in: 3600 };
+      },
+    };
+
+    assert.equal(await store.getAccessToken(client), 'new-access');
+    assert.equal((await store.load()).refreshToken, 'new-refresh');
+  });
+
+  test('forgets the login when the refresh token is rejected', async (t) => {
+    t.mock.method(console, 'error', () => {});
+
+    assert.equal(await store.getAccessToken(failingClient(new InvalidGrantError('Token revoked'))), null);
+    assert.equal(await store.load(), null);
+  });
+
+  test('keeps the login when the refresh fails otherwise', async () => {
+    const unavailable = new OAuthError('temporarily_unavailable', 'Try again later');
+
+    await assert.rejects(store.getAccessToken(failingClient(unavailable)), unavailable);
+    assert.equal((await store.load()).refreshToken, 'old-refresh');
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Run scripts/mock-insforge.js for a test suite
+ */
+
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+
+const MOCK_SCRIPT = path.join(__dirname, '..', '..', 'scripts', 'mock-insforge.js');
+
+/**
+ * A port nothing listens on
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start a mock InsForge; resolves with { url, stop() } once it listens
+ */
+async function startMock(env = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [MOCK_SCRIPT], {
+    env: { ...process.env, MOCK_PORT: String(port), ...env },
+    stdio: ['ignore', 'pipe', 'inherit'],
+  });
+
+  await new Promise((resolve, reject) => {
+    child.once('exit', (code) => reject(new Error(`Mock exited with code ${code}`)));
+    child.stdout.on('data', (chunk) => {
+      if (chunk.toString().includes('running at')) resolve();
+    });
+  });
+
+  return {
+    url: `http://localhost:${port}`,
+    stop: () => new Promise((resolve) => {
+      child.removeAllListeners('exit');
+      child.once('exit', resolve);
+      child.kill();
+    }),
+  };
+}
+
+module.exports = {
+  freePort,
+  startMock,
+};
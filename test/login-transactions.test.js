@@ -0,0 +1,105 @@
+/**
+ * Login transaction tests
+ *
+ *   npm test
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTransaction, takeTransaction } = require('../src/login-transactions');
+const { InvalidStateError } = require('../src/errors');
+
+const options = { secret: 'test-state-secret', ttlMs: 60 * 1000 };
+
+const newSession = () => ({ session: {} });
+
+const start = (req, returnTo = '/') => createTransaction(req, {
+  codeVerifier: `verifier-for-${returnTo}`,
+  mode: 'redirect',
+  returnTo,
+}, options);
+
+describe('login transactions', () => {
+  test('returns the transaction for its state', () => {
+    const req = newSession();
+    const state = start(req, '/projects');
+
+    const transaction = takeTransaction(req, state, options);
+    assert.equal(transaction.returnTo, '/projects');
+    assert.equal(transaction.codeVerifier, 'verifier-for-/projects');
+  });
+
+  test('keeps several logins in one session apart', () => {
+    const req = newSession();
+    const first = start(req, '/first');
+    const second = start(req, '/second');
+
+    assert.equal(takeTransaction(req, second, options).returnTo, '/second');
+    assert.equal(takeTransaction(req, first, options).returnTo, '/first');
+  });
+
+  test('are single use', () => {
+    const req = newSession();
+    const state = start(req);
+    takeTransaction(req, state, options);
+
+    assert.throws(() => takeTransaction(req, state, options), { name: 'InvalidStateError', code: 'expired_transaction' });
+  });
+
+  test('expire', (t) => {
+    const req = newSession();
+    const state = start(req);
+    const { createdAt } = req.session.oauthTransactions[state.split('.')[0]];
+
+    t.mock.method(Date, 'now', () => createdAt + options.ttlMs);
+    assert.throws(() => takeTransaction(req, state, options), { code: 'expired_transaction', message: /took too long/ });
+  });
+
+  test('drop the oldest beyond the limit', (t) => {
+    const req = newSession();
+    let now = Date.now();
+    t.mock.method(Date, 'now', () => now++);
+    const states = Array.from({ length: 11 }, (_, i) => start(req, `/${i}`));
+
+    assert.equal(Object.keys(req.session.oauthTransactions).length, 10);
+    assert.throws(() => takeTransaction(req, states[0], options), { code: 'expired_transaction' });
+    assert.equal(takeTransaction(req, states[10], options).returnTo, '/10');
+  });
+
+  test('reject forged states', () => {
+    const req = newSession();
+    const [id] = start(req).split('.');
+
+    for (const state of [undefined, '', id, `${id}.forged`, `${id}.${'A'.repeat(43)}`, ['an', 'array']]) {
+      assert.throws(() => takeTransaction(req, state, options), InvalidStateError);
+    }
+    // Nothing was taken
+    assert.ok(req.session.oauthTransactions[id]);
+  });
+
+  test('reject states signed with another secret', () => {
+    const req = newSession();
+    const state = start(req);
+
+    assert.throws(() => takeTransaction(req, state, { ...options, secret: 'other' }), { message: /Invalid state/ });
+  });
+
+  test('reject states from another session', () => {
+    const victim = newSession();
+    const attacker = newSession();
+    start(attacker);
+    const state = start(victim);
+
+    assert.throws(() => takeTransaction(attacker, state, options), { message: /Invalid state/ });
+    // Without a state key, nothing verifies
+    assert.throws(() => takeTransaction(newSession(), state, options), { message: /Invalid state/ });
+  });
+
+  test('keep working when the session moves to a new ID', () => {
+    const req = { ...newSession(), sessionID: 'before-login' };
+    const state = start(req);
+
+    req.sessionID = 'after-login';
+    assert.equal(takeTransaction(req, state, options).returnTo, '/');
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * insforgeAuth() login flows, against scripts/mock-insforge.js
+ *
+ *   npm test
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { insforgeAuth, loadAuth } = require('../src/middleware');
+const { createSession } = require('../src/session-store');
+const { freePort, startMock } = require('./helpers/mock-insforge');
+
+const POPUP_NONCE = 'popup-nonce-0123456789';
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/**
+ * Start an app using insforgeAuth(); resolves with { url, stop() }
+ */
+async function startApp(mockUrl) {
+  const port = await freePort();
+  const url = `http://localhost:${port}`;
+
+  const app = express();
+  app.use(createSession({ secrets: ['test-session-secret'] }));
+  app.use('/auth', insforgeAuth({
+    baseUrl: mockUrl,
+    clientId: 'test-client',
+    clientSecret: 'test-secret',
+    redirectUri: `${url}/auth/callback`,
+    scopes: 'user:read',
+  }));
+  app.get('/me', loadAuth(), (req, res) => {
+    res.json({ user: req.insforge?.user || null });
+  });
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(port, '127.0.0.1', () => resolve(listening));
+  });
+  return {
+    url,
+    stop: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+/**
+ * A browser: follows nothing, keeps the session cookie
+ */
+function createBrowser() {
+  let cookie = '';
+  return {
+    get cookie() {
+      return cookie;
+    },
+    async get(url) {
+      const response = await fetch(url, { redirect: 'manual', headers: cookie ? { cookie } : {} });
+      const setCookie = response.headers.get('set-cookie');
+      if (setCookie) {
+        cookie = setCookie.split(';')[0];
+      }
+      return response;
+    },
+  };
+}
+
+/**
+ * Start a login and get InsForge's approval; returns the callback URL
+ */
+async function authorize(browser, loginUrl) {
+  const login = await browser.get(loginUrl);
+  assert.equal(login.status, 302);
+  // The mock approves at once and redirects back to the callback
+  const approval = await fetch(login.headers.get('location'), { redirect: 'manual' });
+  return approval.headers.get('location');
+}
+
+// =============================================================================
+// Concurrent Logins
+// =============================================================================
+
+describe('concurrent logins', () => {
+  let mock;
+  let app;
+
+  before(async () => {
+    mock = await startMock();
+    app = await startApp(mock.url);
+  });
+  after(async () => {
+    await app.stop();
+    await mock.stop();
+  });
+
+  test('a redirect and a popup login in one session both finish', async () => {
+    const browser = createBrowser();
+    const redirectCallback = await authorize(browser, `${app.url}/auth/login?returnTo=%2Fme`);
+    const popupCallback = await authorize(browser, `${app.url}/auth/login-popup?nonce=${POPUP_NONCE}`);
+
+    const before = browser.cookie;
+    const first = await browser.get(redirectCallback);
+    assert.equal(first.status, 302);
+    assert.equal(first.headers.get('location'), '/me');
+    // The login gave the session a new ID
+    assert.notEqual(browser.cookie, before);
+
+    const second = await browser.get(popupCallback);
+    assert.equal(second.status, 200);
+    const page = await second.text();
+    assert.match(page, new RegExp(`data-nonce="${POPUP_NONCE}" data-error=""`));
+
+    const me = await (await browser.get(`${app.url}/me`)).json();
+    assert.equal(me.user.id, 'mock-user-1');
+  });
+
+  test('a callback can only be used once', async () => {
+    const browser = createBrowser();
+    const callback = await authorize(browser, `${app.url}/auth/login`);
+
+    assert.equal((await browser.get(callback)).status, 302);
+    assert.equal((await browser.get(callback)).status, 400);
+  });
+
+  test('a callback from another session is rejected', async () => {
+    const callback = await authorize(createBrowser(), `${app.url}/auth/login`);
+    const other = createBrowser();
+    await authorize(other, `${app.url}/auth/login`);
+
+    assert.equal((await other.get(callback)).status, 400);
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * InsForgeOAuthClient tests, with a stubbed fetch
+ *
+ *   npm test
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { InsForgeOAuthClient } = require('../src/oauth-client');
+const { UpstreamError } = require('../src/errors');
+
+/**
+ * A client whose token endpoint answers with `responses` in turn
+ */
+function createClient(responses) {
+  const requests = [];
+  const client = new InsForgeOAuthClient({
+    baseUrl: 'https://insforge.example',
+    clientId: 'test-client',
+    clientSecret: 'test-secret',
+    redirectUri: 'http://localhost:4000/auth/callback',
+    fetch: async (url, init) => {
+      requests.push(JSON.parse(init.body));
+      const [status, body] = responses.shift();
+      return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+    },
+  });
+  return { client, requests };
+}
+
+const TOKENS = { access_token: 'new-access', refresh_token: 'new-refresh', expires_in: 3600 };
+
+describe('refresh', () => {
+  test('concurrent calls with one refresh token share a request', async () => {
+    const { client, requests } = createClient([[200, TOKENS]]);
+
+    const [first, second] = await Promise.all([client.refresh('rt-1'), client.refresh('rt-1')]);
+    assert.equal(first.access_token, 'new-access');
+    assert.equal(second, first);
+    assert.equal(requests.length, 1);
+  });
+
+  test('new tokens are shared with later callers holding the old refresh token', async () => {
+    const { client, requests } = createClient([[200, TOKENS]]);
+
+    await client.refresh('rt-1');
+    assert.equal((await client.refresh('rt-1')).access_token, 'new-access');
+    assert.equal(requests.length, 1);
+  });
+
+  test('a failed refresh is retried by the next call', async () => {
+    const { client, requests } = createClient([[503, {}], [200, TOKENS]]);
+
+    await assert.rejects(client.refresh('rt-1'), UpstreamError);
+    assert.equal((await client.refresh('rt-1')).access_token, 'new-access');
+    assert.equal(requests.length, 2);
+    assert.equal(requests[1].refresh_token, 'rt-1');
+  });
+});
@@ -0,0 +1,241 @@
+/**
+ * OpenID Connect tests, against scripts/mock-insforge.js
+ *
+ *   npm test
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { InsForgeOAuthClient, generateCodeVerifier } = require('../src/oauth-client');
+const { discoverMetadata, JwksCache, verifyIdToken } = require('../src/oidc');
+const { IdTokenError, UpstreamError } = require('../src/errors');
+const { startMock } = require('./helpers/mock-insforge');
+
+const CLIENT_ID = 'oidc-test-client';
+const REDIRECT_URI = 'http://localhost:4000/auth/callback';
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+function createClient(baseUrl) {
+  return new InsForgeOAuthClient({
+    baseUrl,
+    clientId: CLIENT_ID,
+    clientSecret: 'oidc-test-secret',
+    redirectUri: REDIRECT_URI,
+    scopes: 'user:read',
+    oidc: true,
+  });
+}
+
+/**
+ * Log in against the mock (it approves at once) and return the token response
+ */
+async function login(client, { nonce } = {}) {
+  const codeVerifier = generateCodeVerifier();
+  const authorization = await client.buildAuthorizationUrl({ codeVerifier, nonce });
+  const response = await fetch(authorization.url, { redirect: 'manual' });
+  const code = new URL(response.headers.get('location')).searchParams.get('code');
+  return client.exchangeCode({ code, codeVerifier, nonce: authorization.nonce });
+}
+
+/**
+ * A JwksCache serving a fixed key set
+ */
+function staticJwks(keys) {
+  return new JwksCache({
+    uri: 'https://issuer.example/jwks',
+    fetch: async () => new Response(JSON.stringify({ keys })),
+  });
+}
+
+function decodeHeader(idToken) {
+  return JSON.parse(Buffer.from(idToken.split('.')[0], 'base64url').toString('utf8'));
+}
+
+// =============================================================================
+// Discovery
+// =============================================================================
+
+describe('discovery', () => {
+  let mock;
+  let hidden;
+
+  before(async () => {
+    mock = await startMock();
+    hidden = await startMock({ MOCK_OIDC: 'false' });
+  });
+  after(async () => {
+    await mock.stop();
+    await hidden.stop();
+  });
+
+  test('reads the issuer metadata', async () => {
+    const metadata = await discoverMetadata(mock.url, { fetch });
+    assert.equal(metadata.issuer, mock.url);
+    assert.equal(metadata.jwks_uri, `${mock.url}/.well-known/jwks.json`);
+  });
+
+  test('refuses metadata for another issuer', async () => {
+    const otherName = mock.url.replace('localhost', '127.0.0.1');
+    await assert.rejects(discoverMetadata(otherName, { fetch }), UpstreamError);
+  });
+
+  test('falls back to the built-in endpoints without a discovery document', async () => {
+    await assert.rejects(discoverMetadata(hidden.url, { fetch }), UpstreamError);
+
+    const client = createClient(hidden.url);
+    const endpoints = await client.getEndpoints();
+    assert.equal(endpoints.oidc, false);
+    assert.equal(endpoints.token, `${hidden.url}/api/oauth/v1/token`);
+
+    // Logins still work, without an id_token to check
+    const tokens = await login(client);
+    assert.ok(tokens.access_token);
+    assert.equal(tokens.claims, undefined);
+  });
+});
+
+// =============================================================================
+// ID Token Validation
+// =============================================================================
+
+describe('id_token validation', () => {
+  let mock;
+  let client;
+  let tokens;
+  let jwks;
+
+  before(async () => {
+    mock = await startMock();
+    client = createClient(mock.url);
+    tokens = await login(client, { nonce: 'expected-nonce' });
+    jwks = new JwksCache({ uri: `${mock.url}/.well-known/jwks.json`, fetch });
+  });
+  after(() => mock.stop());
+
+  const verify = (options = {}) => verifyIdToken(tokens.id_token, {
+    jwks,
+    issuer: mock.url,
+    audience: CLIENT_ID,
+    nonce: 'expected-nonce',
+    ...options,
+  });
+
+  test('accepts the mock\'s id_token', async () => {
+    assert.equal(tokens.claims.sub, 'mock-user-1');
+    const claims = await verify();
+    assert.equal(claims.nonce, 'expected-nonce');
+  });
+
+  test('checks the nonce', async () => {
+    await assert.rejects(verify({ nonce: 'another-nonce' }), { name: 'IdTokenError', message: /nonce/ });
+  });
+
+  test('checks the issuer', async () => {
+    await assert.rejects(verify({ issuer: 'https://other.example' }), { name: 'IdTokenError', message: /issuer/ });
+  });
+
+  test('checks the audience', async () => {
+    await assert.rejects(verify({ audience: 'another-client' }), { name: 'IdTokenError', message: /this client/ });
+  });
+
+  test('checks the expiry, with clock tolerance', async (t) => {
+    const { exp } = await verify();
+    t.mock.method(Date, 'now', () => (exp + 30) * 1000);
+    await verify();
+
+    t.mock.method(Date, 'now', () => (exp + 61) * 1000);
+    await assert.rejects(verify(), { name: 'IdTokenError', message: /expired/ });
+  });
+
+  test('checks the signature', async () => {
+    const [header, payload, signature] = tokens.id_token.split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    const forged = Buffer.from(JSON.stringify({ ...claims, sub: 'someone-else' })).toString('base64url');
+
+    await assert.rejects(
+      verifyIdToken(`${header}.${forged}.${signature}`, { jwks, issuer: mock.url, audience: CLIENT_ID }),
+      { name: 'IdTokenError', message: /signature/ }
+    );
+  });
+
+  test('rejects a malformed signing key as IdTokenError', async () => {
+    const { kid } = decodeHeader(tokens.id_token);
+    const broken = staticJwks([{ kty: 'RSA', kid, e: 'AQAB' }]);
+
+    await assert.rejects(verify({ jwks: broken }), IdTokenError);
+  });
+
+  test('rejects a key that does not suit the algorithm as IdTokenError', async () => {
+    const { kid } = decodeHeader(tokens.id_token);
+    const { keys } = await (await fetch(`${mock.url}/.well-known/jwks.json`)).json();
+    const key = keys.find((jwk) => jwk.kid === kid);
+    // A 256-bit modulus: far too short for the signature
+    const mismatched = staticJwks([{ ...key, n: Buffer.alloc(32, 0xff).toString('base64url') }]);
+
+    await assert.rejects(verify({ jwks: mismatched }), IdTokenError);
+  });
+});
+
+// =============================================================================
+// Key Rotation
+// =============================================================================
+
+describe('JWKS key rotation', () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMock();
+  });
+  after(() => mock.stop());
+
+  // A new client each time: its own key cache limits refetches too
+  const freshLogin = () => login(createClient(mock.url));
+
+  const rotate = (query = '') => fetch(`${mock.url}/mock/rotate-keys${query}`, { method: 'POST' });
+
+  test('refetches the key set for an unknown kid', async () => {
+    const jwks = new JwksCache({ uri: `${mock.url}/.well-known/jwks.json`, fetch, minRefreshIntervalMs: 0 });
+    const options = { jwks, issuer: mock.url, audience: CLIENT_ID };
+
+    const first = await freshLogin();
+    await verifyIdToken(first.id_token, options);
+
+    await rotate();
+    const second = await freshLogin();
+    assert.notEqual(decodeHeader(second.id_token).kid, decodeHeader(first.id_token).kid);
+
+    // The cached set doesn't have the new key yet: it is fetched again
+    await verifyIdToken(second.id_token, options);
+    // The old key is still published
+    await verifyIdToken(first.id_token, options);
+  });
+
+  test('rejects tokens signed with a retired key', async () => {
+    const jwks = new JwksCache({ uri: `${mock.url}/.well-known/jwks.json`, fetch, minRefreshIntervalMs: 0 });
+    const old = await freshLogin();
+
+    await rotate('?retire=1');
+    await assert.rejects(
+      verifyIdToken(old.id_token, { jwks, issuer: mock.url, audience: CLIENT_ID }),
+      { name: 'IdTokenError', message: /No RS256 signing key/ }
+    );
+  });
+
+  test('limits refetches for unknown key ids', async () => {
+    let fetches = 0;
+    const jwks = new JwksCache({
+      uri: `${mock.url}/.well-known/jwks.json`,
+      fetch: (url, options) => {
+        fetches++;
+        return fetch(url, options);
+      },
+    });
+
+    await assert.rejects(jwks.getKey({ kid: 'unknown-1', alg: 'RS256' }), IdTokenError);
+    await assert.rejects(jwks.getKey({ kid: 'unknown-2', alg: 'RS256' }), IdTokenError);
+    assert.equal(fetches, 1);
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Session store tests
+ *
+ *   npm test
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const { FileSessionStore } = require('../src/session-store');
+
+describe('FileSessionStore', () => {
+  let dir;
+  let store;
+  let get;
+  let set;
+  let touch;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+    store = new FileSessionStore({ dir, cleanupIntervalMs: 0 });
+    get = promisify(store.get.bind(store));
+    set = promisify(store.set.bind(store));
+    touch = promisify(store.touch.bind(store));
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const session = (tokenExpiresAt, expires) => ({
+    cookie: { expires: new Date(expires).toISOString() },
+    accounts: { insforge: { tokenExpiresAt } },
+  });
+
+  test('stores and reads a session', async () => {
+    await set('sid-1', session(1000, Date.now() + 60000));
+    assert.equal((await get('sid-1')).accounts.insforge.tokenExpiresAt, 1000);
+  });
+
+  test('touch extends the expiry without writing back a stale session', async () => {
+    const stale = session(1000, Date.now() + 60000);
+    await set('sid-2', stale);
+    // Another request refreshes the tokens meanwhile
+    await set('sid-2', session(2000, Date.now() + 60000));
+
+    const expires = Date.now() + 120000;
+    await touch('sid-2', { ...stale, cookie: { expires: new Date(expires).toISOString() } });
+
+    const record = JSON.parse(fs.readFileSync(store.fileFor('sid-2'), 'utf8'));
+    assert.equal(record.expires, expires);
+    assert.equal(record.session.accounts.insforge.tokenExpiresAt, 2000);
+  });
+
+  test('touch does not bring back a destroyed session', async () => {
+    await touch('sid-3', session(1000, Date.now() + 60000));
+    assert.equal(await get('sid-3'), null);
+  });
+
+  test('expired sessions are not returned', async () => {
+    await set('sid-4', session(1000, Date.now() - 1000));
+    assert.equal(await get('sid-4'), null);
+  });
+});
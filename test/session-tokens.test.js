@@ -0,0 +1,44 @@
+/**
+ * Session token tests
+ *
+ *   npm test
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { apiUrl, createSessionFetch } = require('../src/session-tokens');
+
+const client = { baseUrl: 'https://insforge.example' };
+
+describe('apiUrl', () => {
+  test('resolves paths against the InsForge URL', () => {
+    assert.equal(apiUrl(client, '/organizations/v1'), 'https://insforge.example/organizations/v1');
+  });
+
+  test('accepts full URLs on InsForge', () => {
+    assert.equal(apiUrl(client, 'https://insforge.example/projects/v1'), 'https://insforge.example/projects/v1');
+  });
+
+  test('refuses other origins', () => {
+    assert.throws(() => apiUrl(client, 'https://attacker.example/collect'), TypeError);
+    assert.throws(() => apiUrl(client, 'http://insforge.example/organizations/v1'), TypeError);
+    // Would read as user info before another host
+    assert.throws(() => apiUrl(client, '@attacker.example/collect'), TypeError);
+  });
+});
+
+describe('createSessionFetch', () => {
+  test('never sends the access token to another host', async () => {
+    const sent = [];
+    const req = {
+      session: {
+        activeProvider: 'insforge',
+        accounts: { insforge: { accessToken: 'access-token', tokenExpiresAt: Date.now() + 3600000 } },
+      },
+    };
+    const sessionFetch = createSessionFetch(req, { ...client, send: async (url) => sent.push(url) });
+
+    await assert.rejects(sessionFetch('https://attacker.example/collect'), TypeError);
+    assert.deepEqual(sent, []);
+  });
+});